@@ -0,0 +1,57 @@
+/* jshint node:true */
+
+/*
+ * Compares the linear and the trie matcher of Router on a large route table.
+ *
+ *   node bench/router.js [routes] [lookups]
+ */
+
+var Router = require('../src/Router');
+
+var routeCount = Number(process.argv[2]) || 5000;
+var lookupCount = Number(process.argv[3]) || 200;
+
+var resources = ['users', 'orders', 'products', 'invoices', 'reports'];
+
+function templateAt(index) {
+    var service = 'service' + Math.floor(index / resources.length);
+    var resource = resources[index % resources.length];
+    return '/' + service + '/' + resource + '/{id}' + (index % 2 ? '{?fields}' : '/history{/page}');
+}
+
+function urlAt(index) {
+    var service = 'service' + Math.floor(index / resources.length);
+    var resource = resources[index % resources.length];
+    return '/' + service + '/' + resource + '/42' + (index % 2 ? '?fields=name' : '/history/3');
+}
+
+function createRouter(matcher) {
+    var router = new Router({ matcher: matcher });
+    for (var i = 0; i < routeCount; i++) router.add(templateAt(i), function () {});
+    return router;
+}
+
+var urls = [];
+for (var i = 0; i < lookupCount; i++) urls.push(urlAt(Math.floor(Math.random() * routeCount)));
+
+async function run(matcher) {
+    var router = createRouter(matcher);
+    await router.handle(urls[0]);
+
+    var start = process.hrtime.bigint();
+    for (var url of urls) {
+        var result = await router.handle(url);
+        if (result.status !== 200) throw new Error("no route for '" + url + "'");
+    }
+    var elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+    console.log(matcher + ': ' + elapsed.toFixed(1) + 'ms, ' + (elapsed * 1000 / urls.length).toFixed(1) + 'µs per lookup');
+}
+
+console.log(routeCount + ' routes, ' + lookupCount + ' lookups');
+run('linear').then(function () {
+    return run('trie');
+}).catch(function (error) {
+    console.error(error);
+    process.exitCode = 1;
+});
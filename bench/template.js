@@ -0,0 +1,56 @@
+/* jshint node:true */
+
+/*
+ * Compares new UriTemplate and UriTemplate.compile on code that builds the
+ * same templates over and over, to expand and to match.
+ *
+ *   node bench/template.js [iterations]
+ */
+
+var UriTemplate = require('../src/UriTemplate');
+
+var iterations = Number(process.argv[2]) || 20000;
+
+var templates = [
+    '/users/{id}{?fields,expand*}',
+    '/orders/{order}/items{/item}{.format}',
+    '{+base}/search{?q,page,size}{#section}',
+    '/reports/{year}/{month}{;tags*}'
+];
+
+var data = { id: 42, fields: ['name', 'email'], expand: { team: 'yes' }, order: 7, item: 3, format: 'json',
+    base: 'https://example.com', q: 'uri templates', page: 2, size: 20, section: 'top',
+    year: 2024, month: 5, tags: ['a', 'b'] };
+
+var urls = templates.map(template => new UriTemplate(template).stringify(data));
+
+function time(label, create, run) {
+    var start = process.hrtime.bigint();
+    for (var i = 0; i < iterations; i++) {
+        var index = i % templates.length;
+        run(create(templates[index]), index);
+    }
+    var elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+    console.log(label + ': ' + elapsed.toFixed(1) + 'ms, ' + (elapsed * 1000 / iterations).toFixed(2) + 'µs per call');
+    return elapsed;
+}
+
+function compare(what, run) {
+    var created = time(what + ' with new UriTemplate', template => new UriTemplate(template), run);
+    var compiled = time(what + ' with UriTemplate.compile', UriTemplate.compile, run);
+    console.log(what + ': ' + (created / compiled).toFixed(1) + 'x faster');
+}
+
+function expand(template) {
+    template.stringify(data);
+}
+
+function match(template, index) {
+    if (!template.parse(urls[index])) throw new Error("'" + urls[index] + "' does not match " + template);
+}
+
+console.log(iterations + ' calls on ' + templates.length + ' templates');
+compare('expand', expand);
+compare('match', match);
+console.log(JSON.stringify(UriTemplate.cacheStats()));
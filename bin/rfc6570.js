@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/* jshint node:true */
+
+/*
+ * Expands and matches templates from the command line. Exits with 1 when a
+ * uri does not match and with 2 for bad input.
+ */
+
+var fs = require('fs');
+var readline = require('readline');
+var rfc6570 = require('../src/main');
+var UriTemplate = rfc6570.UriTemplate;
+var Router = rfc6570.Router;
+
+var USAGE = [
+    'usage: rfc6570 expand [<template>] [--data <file.json>]',
+    '       rfc6570 match [<template> <uri>]',
+    '       rfc6570 routes <routes.json> [<uri>] [--method <method>]',
+    '',
+    'Without a template or uri, lines are read from stdin:',
+    '  expand   <template> [<json>]',
+    '  match    <template> <uri>',
+    '  routes   <uri> [<method>]',
+    '',
+    'routes.json is an array of templates, or of { name, method, template, variables }.'
+].join('\n');
+
+class UsageError extends Error {}
+
+function parseArguments(argv) {
+    var args = { positional: [], options: {} };
+    for (var i = 0; i < argv.length; i++) {
+        if (argv[i] === '-h' || argv[i] === '--help') {
+            args.options.help = true;
+        } else if (argv[i].startsWith('--')) {
+            if (i + 1 === argv.length) throw new UsageError('missing value for ' + argv[i]);
+            args.options[argv[i].substring(2)] = argv[++i];
+        } else {
+            args.positional.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+function readJson(file, what) {
+    var text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        throw new UsageError('cannot read ' + what + ' ' + file + ': ' + error.message);
+    }
+    return parseJson(text, what + ' ' + file);
+}
+
+function parseJson(text, what) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new UsageError('invalid JSON in ' + what + ': ' + error.message);
+    }
+}
+
+/* batch input repeats templates, so they come from the compile cache */
+function compile(template) {
+    var errors = UriTemplate.validate(template);
+    if (errors.length) throw new UsageError(errors[0].message);
+    return UriTemplate.compile(template);
+}
+
+/* the words of a line of batch input, the rest of the line is the last one */
+function words(line, count) {
+    var parts = line.trim().split(/\s+/);
+    return parts.slice(0, count - 1).concat(parts.length >= count ? parts.slice(count - 1).join(' ') : []);
+}
+
+function expand(args, io) {
+    var data = args.options.data ? readJson(args.options.data, 'data') : {};
+    var template = args.positional[0];
+
+    if (template !== undefined) {
+        io.out(compile(template).stringify(data));
+        return 0;
+    }
+
+    return eachLine(io, function (line) {
+        var parts = words(line, 2);
+        var lineData = parts[1] ? parseJson(parts[1], "'" + line + "'") : {};
+        io.out(compile(parts[0]).stringify(Object.assign({}, data, lineData)));
+        return 0;
+    });
+}
+
+function match(args, io) {
+    if (args.positional.length === 1) throw new UsageError('match needs a template and a uri');
+
+    if (args.positional.length) {
+        try {
+            io.out(JSON.stringify(compile(args.positional[0]).parseOrThrow(args.positional[1]), null, 2));
+            return 0;
+        } catch (error) {
+            if (!(error instanceof UriTemplate.UriTemplateMatchError)) throw error;
+            io.err(error.message);
+            return 1;
+        }
+    }
+
+    return eachLine(io, function (line) {
+        var parts = words(line, 2);
+        var result = compile(parts[0]).parse(parts[1] || '');
+        io.out(JSON.stringify(result));
+        return result ? 0 : 1;
+    });
+}
+
+function createRouter(file) {
+    var entries = readJson(file, 'routes');
+    if (!Array.isArray(entries)) throw new UsageError('routes ' + file + ' is not an array');
+
+    var router = new Router();
+    entries.forEach(function (entry) {
+        if (typeof entry === 'string') entry = { template: entry };
+        if (!entry || typeof entry.template !== 'string') {
+            throw new UsageError('route ' + JSON.stringify(entry) + ' has no template');
+        }
+
+        var template;
+        try {
+            template = new UriTemplate(entry.template, { strict: true, variables: entry.variables });
+        } catch (error) {
+            throw new UsageError("route '" + entry.template + "': " + error.message);
+        }
+
+        var args = entry.name === undefined ? [template] : [String(entry.name), template];
+        router.route(entry.method || '*', ...args, function () {});
+    });
+    return router;
+}
+
+function describeRoute(route) {
+    return route.method + ' ' + route.template + (route.name === undefined ? '' : ' (' + route.name + ')');
+}
+
+function describeScore(score) {
+    return 'literals ' + score.literals + ', expressions ' + score.expressions + ', constraint ' + score.constraint;
+}
+
+/* the params, or why the uri does not match */
+function parseOrExplain(template, uri) {
+    try {
+        return template.parseOrThrow(uri);
+    } catch (error) {
+        if (error instanceof UriTemplate.UriTemplateMatchError) return error.message;
+        throw error;
+    }
+}
+
+/* every route in the order they are tried, and what became of it */
+function explain(router, uri, method) {
+    var lines = [];
+    var winner;
+
+    router.order().forEach(function (route, i) {
+        var outcome;
+        if (winner) {
+            outcome = 'not tried';
+        } else {
+            var params = parseOrExplain(route.template, uri);
+            if (typeof params === 'string') {
+                outcome = 'does not match, ' + params;
+            } else if (route.method !== '*' && route.method !== method) {
+                outcome = 'matches, but not ' + method;
+            } else {
+                winner = route;
+                outcome = 'wins with ' + JSON.stringify(params);
+            }
+        }
+        lines.push((i + 1) + '. ' + describeRoute(route) + ' [' + describeScore(route.score) + ']: ' + outcome);
+    });
+
+    return lines;
+}
+
+function routes(args, io) {
+    if (!args.positional.length) throw new UsageError('routes needs a routes file');
+
+    var router = createRouter(args.positional[0]);
+    var method = (args.options.method || 'GET').toUpperCase();
+    var uri = args.positional[1];
+
+    if (uri !== undefined) {
+        return router.handle(uri, method).then(function (result) {
+            io.out(method + ' ' + uri);
+            explain(router, uri, method).forEach(line => io.out('  ' + line));
+            io.out(summary(result));
+            return result.status === 200 ? 0 : 1;
+        });
+    }
+
+    return eachLine(io, function (line) {
+        var parts = words(line, 2);
+        var lineMethod = (parts[1] || method).toUpperCase();
+        return router.handle(parts[0], lineMethod).then(function (result) {
+            io.out(lineMethod + ' ' + parts[0] + ' -> ' + summary(result));
+            return result.status === 200 ? 0 : 1;
+        });
+    });
+}
+
+function summary(result) {
+    if (result.status === 200) return describeRoute(result.route) + ' ' + JSON.stringify(result.params);
+    if (result.status === 405) return '405, allowed ' + result.allowed.join(', ');
+    return '404';
+}
+
+/* resolves to the highest exit code of the lines, a line that fails is reported and counts as bad input */
+function eachLine(io, handleLine) {
+    var code = 0;
+    var queue = Promise.resolve();
+
+    return new Promise(function (resolve, reject) {
+        var lines = readline.createInterface({ input: io.stdin, terminal: false });
+        lines.on('line', function (line) {
+            if (!line.trim()) return;
+            queue = queue.then(function () {
+                return handleLine(line);
+            }).catch(function (error) {
+                io.err(error.message.split('\n')[0]);
+                return 2;
+            }).then(function (lineCode) {
+                code = Math.max(code, lineCode);
+            });
+        });
+        lines.on('close', function () {
+            queue.then(() => resolve(code), reject);
+        });
+    });
+}
+
+var COMMANDS = { expand, match, routes };
+
+function main(argv, io) {
+    return Promise.resolve().then(function () {
+        var args = parseArguments(argv);
+        var command = COMMANDS[args.positional.shift()];
+        if (args.options.help) {
+            io.out(USAGE);
+            return 0;
+        }
+        if (!command) throw new UsageError(USAGE);
+        return command(args, io);
+    }).catch(function (error) {
+        if (!(error instanceof UsageError)) throw error;
+        io.err(error.message);
+        return 2;
+    });
+}
+
+module.exports = main;
+
+if (require.main === module) {
+    main(process.argv.slice(2), {
+        stdin: process.stdin,
+        out: line => process.stdout.write(line + '\n'),
+        err: line => process.stderr.write(line + '\n')
+    }).then(function (code) {
+        process.exitCode = code;
+    }, function (error) {
+        console.error(error);
+        process.exitCode = 2;
+    });
+}
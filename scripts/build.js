@@ -0,0 +1,54 @@
+/* jshint node:true */
+
+/*
+ * Builds the minified UMD bundle for browsers and AMD loaders.
+ *
+ *   node scripts/build.js [outfile]
+ */
+
+var path = require('path');
+var fs = require('fs');
+var esbuild = require('esbuild');
+
+var root = path.resolve(__dirname, '..');
+
+function build(outfile) {
+    return esbuild.build({
+        entryPoints: [path.join(root, 'src/main.js')],
+        bundle: true,
+        minify: true,
+        format: 'cjs',
+        platform: 'browser',
+        target: 'es2019',
+        /* only Router.createServer needs it, and only in Node */
+        external: ['http'],
+        write: false
+    }).then(function (result) {
+        fs.mkdirSync(path.dirname(outfile), { recursive: true });
+        fs.writeFileSync(outfile, umd(result.outputFiles[0].text));
+        return outfile;
+    });
+}
+
+function umd(source) {
+    return '(function(root,factory){' +
+        'if(typeof define==="function"&&define.amd)define([],factory);' +
+        'else if(typeof module==="object"&&module.exports)module.exports=factory();' +
+        'else root.rfc6570=factory();' +
+        '})(typeof self!=="undefined"?self:this,function(){' +
+        'var module={exports:{}},exports=module.exports;' +
+        source +
+        'return module.exports;' +
+        '});\n';
+}
+
+module.exports = build;
+
+if (require.main === module) {
+    build(path.resolve(process.argv[2] || path.join(root, 'dist/rfc6570.min.js'))).then(function (outfile) {
+        console.log(path.relative(process.cwd(), outfile));
+    }, function (error) {
+        console.error(error);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,260 @@
+/* jshint node:true */
+
+/**
+ * Matches like a RegExp of the same source, in time linear in the length of
+ * the string. A RegExp tries every way to split a string between adjacent
+ * expressions that may contain the literal between them, so a string that
+ * does not match a template like /{a}-{b}-{c}/ takes polynomial time. This
+ * tries the alternatives in the same order, so it finds the same match, but
+ * remembers every instruction it tried at an offset and never tries it
+ * there again.
+ *
+ * It knows the syntax UriTemplate compiles templates to: groups,
+ * alternatives, character classes, escapes, "^", "$" and the greedy
+ * quantifiers. exec returns what the RegExp would with the "d" flag.
+ */
+class LinearRegExp {
+
+    constructor(source) {
+        const parser = { source, offset: 0, groups: 0 };
+        const node = parseAlternatives(parser);
+        if (parser.offset < source.length) throw unsupported(parser);
+
+        this.source = source;
+        this.groups = parser.groups;
+        this.program = [];
+        emit(this.program, { type: 'group', index: 0, node });
+        this.program.push({ op: 'match' });
+    }
+
+    exec(str) {
+        const tried = new Uint8Array(this.program.length * (str.length + 1));
+        for (let start = 0; start <= str.length; start++) {
+            const slots = run(this.program, str, start, tried, this.groups);
+            if (slots) return result(str, slots, this.groups);
+        }
+        return null;
+    }
+
+    test(str) {
+        return this.exec(str) !== null;
+    }
+
+}
+
+/* the offsets of the groups in the first match from start, that a failed instruction at an offset fails again is what keeps this linear */
+function run(program, str, start, tried, groups) {
+    const slots = new Array(2 * (groups + 1)).fill(-1);
+    const stack = [{ pc: 0, offset: start }];
+
+    while (stack.length) {
+        const frame = stack.pop();
+        if (frame.slot !== undefined) {
+            slots[frame.slot] = frame.value;
+            continue;
+        }
+
+        let { pc, offset } = frame;
+        for (;;) {
+            const key = pc * (str.length + 1) + offset;
+            if (tried[key]) break;
+            tried[key] = 1;
+
+            const instruction = program[pc];
+            if (instruction.op === 'char') {
+                if (offset === str.length || !instruction.test(str.charCodeAt(offset))) break;
+                pc++;
+                offset++;
+            } else if (instruction.op === 'split') {
+                stack.push({ pc: instruction.next, offset });
+                pc++;
+            } else if (instruction.op === 'jump') {
+                pc = instruction.next;
+            } else if (instruction.op === 'save') {
+                stack.push({ slot: instruction.slot, value: slots[instruction.slot] });
+                slots[instruction.slot] = offset;
+                pc++;
+            } else if (instruction.op === 'start') {
+                if (offset !== 0) break;
+                pc++;
+            } else if (instruction.op === 'end') {
+                if (offset !== str.length) break;
+                pc++;
+            } else {
+                return slots;
+            }
+        }
+    }
+    return null;
+}
+
+function result(str, slots, groups) {
+    const match = [], indices = [];
+    for (let i = 0; i <= groups; i++) {
+        const start = slots[2 * i], end = slots[2 * i + 1];
+        match.push(start < 0 || end < 0 ? undefined : str.substring(start, end));
+        indices.push(start < 0 || end < 0 ? undefined : [start, end]);
+    }
+    return Object.assign(match, { index: slots[0], input: str, indices });
+}
+
+/* appends the instructions of node, a split goes on with the next instruction and tries its next one when that fails */
+function emit(program, node) {
+    switch (node.type) {
+        case 'char':
+            program.push({ op: 'char', test: node.test });
+            break;
+        case 'start':
+        case 'end':
+            program.push({ op: node.type });
+            break;
+        case 'sequence':
+            node.nodes.forEach(x => emit(program, x));
+            break;
+        case 'alternatives': {
+            const jumps = [];
+            node.nodes.slice(0, -1).forEach(function (x) {
+                const split = program.push({ op: 'split' }) - 1;
+                emit(program, x);
+                jumps.push(program.push({ op: 'jump' }) - 1);
+                program[split].next = program.length;
+            });
+            emit(program, node.nodes[node.nodes.length - 1]);
+            jumps.forEach(x => program[x].next = program.length);
+            break;
+        }
+        case 'group':
+            if (node.index === undefined) return emit(program, node.node);
+            program.push({ op: 'save', slot: 2 * node.index });
+            emit(program, node.node);
+            program.push({ op: 'save', slot: 2 * node.index + 1 });
+            break;
+        case 'repeat': {
+            for (let i = 0; i < node.min; i++) emit(program, node.node);
+            if (node.max === Infinity) {
+                const split = program.push({ op: 'split' }) - 1;
+                emit(program, node.node);
+                program.push({ op: 'jump', next: split });
+                program[split].next = program.length;
+                break;
+            }
+            const splits = [];
+            for (let i = node.min; i < node.max; i++) {
+                splits.push(program.push({ op: 'split' }) - 1);
+                emit(program, node.node);
+            }
+            splits.forEach(x => program[x].next = program.length);
+            break;
+        }
+    }
+}
+
+function parseAlternatives(parser) {
+    const nodes = [parseSequence(parser)];
+    while (parser.source[parser.offset] === '|') {
+        parser.offset++;
+        nodes.push(parseSequence(parser));
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'alternatives', nodes };
+}
+
+function parseSequence(parser) {
+    const nodes = [];
+    while (parser.offset < parser.source.length && !~'|)'.indexOf(parser.source[parser.offset])) {
+        nodes.push(parseQuantifier(parser, parseAtom(parser)));
+    }
+    return { type: 'sequence', nodes };
+}
+
+function parseAtom(parser) {
+    const { source } = parser;
+    const ch = source[parser.offset++];
+
+    if (ch === '(') {
+        let index;
+        if (source.startsWith('?:', parser.offset)) parser.offset += 2;
+        else if (source[parser.offset] === '?') throw unsupported(parser);
+        else index = ++parser.groups;
+
+        const node = parseAlternatives(parser);
+        if (source[parser.offset++] !== ')') throw unsupported(parser);
+        return { type: 'group', index, node };
+    }
+    if (ch === '[') return parseClass(parser);
+    if (ch === '\\') return { type: 'char', test: parseEscape(parser) };
+    if (ch === '^') return { type: 'start' };
+    if (ch === '$') return { type: 'end' };
+    if (ch === '.' || ch === ')' || ~'*+?{'.indexOf(ch)) throw unsupported(parser);
+
+    const code = ch.charCodeAt(0);
+    return { type: 'char', test: x => x === code };
+}
+
+function parseQuantifier(parser, node) {
+    const { source } = parser;
+    const quantifier = /^(?:[*+?]|\{(\d+)(,(\d*))?\})/.exec(source.substring(parser.offset));
+    if (!quantifier) return node;
+    parser.offset += quantifier[0].length;
+    if (source[parser.offset] === '?') throw unsupported(parser);
+
+    const [all, min, comma, max] = quantifier;
+    if (all === '*') return { type: 'repeat', node, min: 0, max: Infinity };
+    if (all === '+') return { type: 'repeat', node, min: 1, max: Infinity };
+    if (all === '?') return { type: 'repeat', node, min: 0, max: 1 };
+    return { type: 'repeat', node, min: Number(min), max: !comma ? Number(min) : max ? Number(max) : Infinity };
+}
+
+function parseClass(parser) {
+    const { source } = parser;
+    const negated = source[parser.offset] === '^';
+    if (negated) parser.offset++;
+
+    const tests = [];
+    while (source[parser.offset] !== ']') {
+        if (parser.offset >= source.length) throw unsupported(parser);
+        const from = parseClassChar(parser);
+        if (source[parser.offset] === '-' && source[parser.offset + 1] !== ']' && typeof from === 'number') {
+            parser.offset++;
+            const to = parseClassChar(parser);
+            if (typeof to !== 'number') throw unsupported(parser);
+            tests.push(x => x >= from && x <= to);
+        } else {
+            tests.push(typeof from === 'number' ? x => x === from : from);
+        }
+    }
+    parser.offset++;
+
+    return { type: 'char', test: x => tests.some(test => test(x)) !== negated };
+}
+
+/* a char code, or the test of an escaped class like \s */
+function parseClassChar(parser) {
+    const ch = parser.source[parser.offset++];
+    if (ch !== '\\') return ch.charCodeAt(0);
+
+    const test = parseEscape(parser);
+    return test.code === undefined ? test : test.code;
+}
+
+const CLASS_ESCAPES = {
+    d: x => x >= 48 && x <= 57,
+    s: x => /\s/.test(String.fromCharCode(x)),
+    w: x => /\w/.test(String.fromCharCode(x))
+};
+
+function parseEscape(parser) {
+    const ch = parser.source[parser.offset++];
+    if (ch === undefined || /[0-9a-zA-Z]/.test(ch) && !CLASS_ESCAPES[ch.toLowerCase()]) throw unsupported(parser);
+
+    const test = CLASS_ESCAPES[ch.toLowerCase()];
+    if (test) return ch === ch.toLowerCase() ? test : x => !test(x);
+
+    const code = ch.charCodeAt(0);
+    return Object.assign(x => x === code, { code });
+}
+
+function unsupported({ source, offset }) {
+    return new Error("unsupported regular expression '" + source + "' at offset " + offset);
+}
+
+module.exports = LinearRegExp;
@@ -0,0 +1,73 @@
+/* jshint node:true */
+
+/**
+ * A map that holds at most `size` entries and drops the least recently used
+ * one to make room for a new one. A Map iterates in insertion order, so
+ * every hit moves its entry to the end and the first entry is the oldest.
+ *
+ * With `stats` it counts hits, misses and evictions.
+ */
+class LruCache {
+
+    constructor({ size = 500, stats = true } = {}) {
+        this.entries = new Map();
+        this.reset();
+        this.configure({ size, stats });
+    }
+
+    configure({ size = this.size, stats = this.counting } = {}) {
+        if (!(size >= 0) || size % 1) throw new TypeError("cache size must be a non-negative integer, not '" + size + "'");
+        this.size = size;
+        this.counting = stats;
+        this.evict();
+        return this;
+    }
+
+    get(key) {
+        const value = this.entries.get(key);
+        if (value === undefined) {
+            if (this.counting) this.misses++;
+            return undefined;
+        }
+        if (this.counting) this.hits++;
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        this.evict();
+        return value;
+    }
+
+    clear() {
+        this.entries.clear();
+        this.reset();
+    }
+
+    /* resets the counters, not the entries */
+    reset() {
+        this.hits = this.misses = this.evictions = 0;
+    }
+
+    stats() {
+        return {
+            size: this.entries.size,
+            maxSize: this.size,
+            hits: this.hits,
+            misses: this.misses,
+            evictions: this.evictions
+        };
+    }
+
+    evict() {
+        while (this.entries.size > this.size) {
+            this.entries.delete(this.entries.keys().next().value);
+            if (this.counting) this.evictions++;
+        }
+    }
+}
+
+module.exports = LruCache;
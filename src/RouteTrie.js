@@ -0,0 +1,119 @@
+/* jshint node:true */
+
+/**
+ * A radix tree of values keyed on strings. lookup(str) walks str once and
+ * returns the values of every key that is a prefix of str, so its cost
+ * depends on the length of str rather than on the number of keys.
+ *
+ * A key can also be a list of literal strings and expressions, given as
+ * { chars } with the reserved characters the expression may contain. An
+ * expression takes the longest run of characters that are unreserved, "%"
+ * or one of its chars, so insert stops the key in front of an expression
+ * unless the literal after it starts with another reserved character.
+ *
+ * Router keys its routes on the literals and expressions of their template,
+ * see routeKey. Routes whose template starts with an expression of "+" or
+ * "#" are kept at the root.
+ */
+class RouteTrie {
+
+    constructor() {
+        this.root = createNode('');
+        this.size = 0;
+    }
+
+    insert(key, value) {
+        const segments = [].concat(key);
+        let node = this.root;
+
+        for (let i = 0; i < segments.length; i++) {
+            const segment = segments[i];
+            if (typeof segment === 'string') {
+                node = insertLiteral(node, segment);
+            } else if (separates(segment.chars, segments[i + 1])) {
+                node = node.expressions[segment.chars] || (node.expressions[segment.chars] = createNode(''));
+            } else {
+                break;
+            }
+        }
+
+        node.values.push(value);
+        this.size++;
+        return this;
+    }
+
+    lookup(str) {
+        const values = [];
+        collect(this.root, str, 0, values);
+        return values;
+    }
+
+}
+
+function createNode(label) {
+    return { label, values: [], children: Object.create(null), expressions: Object.create(null) };
+}
+
+function insertLiteral(node, key) {
+    let offset = 0;
+
+    while (offset < key.length) {
+        const child = node.children[key[offset]];
+        if (!child) return node.children[key[offset]] = createNode(key.substring(offset));
+
+        const common = commonPrefixLength(child.label, key, offset);
+        if (common < child.label.length) splitNode(child, common);
+        node = child;
+        offset += common;
+    }
+    return node;
+}
+
+/* the values below node that str matches from offset, every expression takes one run so this stays linear */
+function collect(node, str, offset, values) {
+    for (;;) {
+        values.push(...node.values);
+        Object.keys(node.expressions).forEach(function (chars) {
+            collect(node.expressions[chars], str, runEnd(str, offset, chars), values);
+        });
+
+        const child = node.children[str[offset]];
+        if (!child || !str.startsWith(child.label, offset)) return;
+        node = child;
+        offset += child.label.length;
+    }
+}
+
+const reserved = ":/?#[]@!$&'()*+,;=";
+
+/* whether the run of an expression with chars ends where literal starts */
+function separates(chars, literal) {
+    return typeof literal === 'string' && literal !== '' && !!~reserved.indexOf(literal[0]) && !~chars.indexOf(literal[0]);
+}
+
+function runEnd(str, offset, chars) {
+    while (offset < str.length && (!~reserved.indexOf(str[offset]) || ~chars.indexOf(str[offset]))) offset++;
+    return offset;
+}
+
+/* moves everything below the first length characters of node to a new child */
+function splitNode(node, length) {
+    const child = createNode(node.label.substring(length));
+    child.values = node.values;
+    child.children = node.children;
+    child.expressions = node.expressions;
+
+    node.label = node.label.substring(0, length);
+    node.values = [];
+    node.children = Object.create(null);
+    node.expressions = Object.create(null);
+    node.children[child.label[0]] = child;
+}
+
+function commonPrefixLength(label, key, offset) {
+    let length = 0;
+    while (length < label.length && label[length] === key[offset + length]) length++;
+    return length;
+}
+
+module.exports = RouteTrie;
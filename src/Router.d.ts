@@ -0,0 +1,148 @@
+import UriTemplate = require('./UriTemplate');
+
+declare namespace Router {
+
+    type Params = { [name: string]: unknown };
+
+    /**
+     * Called with the extra arguments given to handle, then the params and
+     * next. Calling next runs the next handler, returning false falls
+     * through to the next route.
+     */
+    type Handler = (...args: any[]) => unknown;
+
+    interface Options {
+        /** 'trie' only tries the routes whose leading literal prefixes the url. */
+        matcher?: 'linear' | 'trie';
+    }
+
+    interface Route {
+        name?: string;
+        /** An HTTP method, or '*' for any method. */
+        method: string;
+        template: UriTemplate<any, any, any>;
+        handlers: Handler[];
+        /** The middleware of the routers the route was mounted from. */
+        stacks: Handler[][];
+        score: { literals: number; expressions: number; constraint: number };
+        index: number;
+    }
+
+    type HandleResult =
+        | { status: 200; route: Route; params: Params }
+        | { status: 404 }
+        | { status: 405; allowed: string[] };
+
+    interface Match {
+        route: Route;
+        params: Params;
+        /** The handlers handle would run, middleware first. */
+        handlers: Handler[];
+    }
+
+    interface ScoredMatch extends Match {
+        /** The specificity routes are ordered by. */
+        score: Route['score'];
+    }
+
+    type Template = string | UriTemplate<any, any, any>;
+
+    type RouteArgs = [Template, ...Handler[]] | [string, Template, ...Handler[]];
+
+    interface OpenApiOptions {
+        /** The info of the document, title and version by default. */
+        info?: { [key: string]: unknown };
+        /** Metadata of variables by name, merged into their parameter objects. */
+        parameters?: { [name: string]: { [key: string]: unknown } };
+        /** Leave out routes with templates OpenAPI can not describe, instead of throwing. */
+        skipUnsupported?: boolean;
+    }
+
+    interface OpenApiParameter {
+        name: string;
+        in: 'path' | 'query';
+        required: boolean;
+        style: 'simple' | 'label' | 'matrix' | 'form';
+        explode: boolean;
+        schema: { [key: string]: unknown };
+        [key: string]: unknown;
+    }
+
+    interface OpenApiOperation {
+        operationId?: string;
+        parameters?: OpenApiParameter[];
+        responses: { [status: string]: unknown };
+        'x-uri-template': string;
+        [key: string]: unknown;
+    }
+
+    interface OpenApiDocument {
+        openapi: string;
+        info: { [key: string]: unknown };
+        paths: { [path: string]: { [method: string]: OpenApiOperation } };
+    }
+
+    interface FromOpenApiOptions extends Options {
+        /** The handlers of operations by operationId. */
+        handlers?: { [operationId: string]: Handler | Handler[] };
+    }
+
+    interface Middleware {
+        (req: { url?: string; method?: string }, res: any, next?: (error?: unknown) => void): void;
+    }
+}
+
+declare class Router {
+    constructor(options?: Router.Options);
+
+    readonly routes: Router.Route[];
+
+    /** Handlers that run once per request, in front of the handlers of the first matched route. */
+    use(...handlers: Router.Handler[]): this;
+
+    /** A route for any method. */
+    add(...args: Router.RouteArgs): this;
+    route(method: string, ...args: Router.RouteArgs): this;
+    get(...args: Router.RouteArgs): this;
+    post(...args: Router.RouteArgs): this;
+    put(...args: Router.RouteArgs): this;
+    patch(...args: Router.RouteArgs): this;
+    delete(...args: Router.RouteArgs): this;
+
+    /** Adds the routes of router, now and later, with their templates behind prefix. */
+    mount(prefix: Router.Template, router: Router): this;
+
+    /** The routes in the order handle tries them. */
+    order(): Router.Route[];
+
+    /** The routes that may match url, in the order handle tries them. */
+    candidates(url: string): Router.Route[];
+
+    /** Routes that an earlier route with an equivalent template shadows. */
+    unreachable(): Array<{ route: Router.Route; shadowedBy: Router.Route }>;
+
+    /** Expands the template of a named route. */
+    url(name: string, params?: { [name: string]: unknown }): string;
+
+    /** The first route handle would call for url, without calling it, or null. Without a method any method matches. */
+    match(url: string, method?: string): Router.Match | null;
+
+    /** Every route that matches url, in the order handle tries them. Without a method any method matches. */
+    matchAll(url: string, method?: string): Router.ScoredMatch[];
+
+    /** Runs the first route that matches. Templates without a query also match a url with one, GET routes handle HEAD. */
+    handle(url: string, method?: string, ...args: unknown[]): Promise<Router.HandleResult>;
+
+    /** A Node http request listener, or Connect / Express middleware. */
+    middleware(): Router.Middleware;
+
+    /** An OpenAPI 3 document of the routes. */
+    toOpenApi(options?: Router.OpenApiOptions): Router.OpenApiDocument;
+
+    /** A router with a route for every operation of an OpenAPI 3 document. */
+    static fromOpenApi(document: object, options?: Router.FromOpenApiOptions): Router;
+
+    static createServer(router: Router): import('http').Server;
+}
+
+export = Router;
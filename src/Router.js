@@ -1,10 +1,420 @@
 /* jshint node:true */
 
-var { UriTemplateClass, Router } = require('./UriTemplate');
+const UriTemplate = require('./UriTemplate');
+const RouteTrie = require('./RouteTrie');
+const openapi = require('./openapi');
 
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
 
+/* operators that leave fewer characters unencoded constrain more */
+const OPERATOR_CONSTRAINT = { "+": 0, "#": 0, "": 1, ".": 2, "/": 2, ";": 2, "?": 2, "&": 2 };
 
+/**
+ * Routes are tried from the most specific template to the least specific,
+ * not in the order they were added. A template is more specific when it has
+ * more literal characters (in normal form, so equivalent literals count the
+ * same), then when it has fewer expressions, then when its expressions are
+ * more constrained. Equally specific routes keep the order they were added
+ * in.
+ *
+ * Handlers are called with the extra arguments given to handle, then the
+ * parsed params and a next function. Calling next() runs the next handler of
+ * the chain, past the last handler it falls through to the next matching
+ * route. Returning false (or a promise of false) falls through as well.
+ * The handlers of router.use, and those of the routers a route was mounted
+ * from, run once per request, in front of the first route that matches. A
+ * route that is fallen through to only runs its own handlers.
+ *
+ * A url with a query also matches the templates that have no query, as if
+ * the query was not there. HEAD requests are handled by GET routes.
+ *
+ * handle resolves to one of
+ *   { status: 200, route, params }    a route handled the url
+ *   { status: 404 }                   no template matched the url
+ *   { status: 405, allowed }          templates matched, but not the method
+ *
+ * By default handle tries every route in turn. With { matcher: 'trie' } the
+ * routes are kept in a radix tree on their literals, see routeKey, and only
+ * the routes whose literals fit the url are tried. The result is the same,
+ * but large route tables are a lot faster.
+ */
+class Router {
 
+    constructor({ matcher = 'linear' } = {}) {
+        if (matcher !== 'linear' && matcher !== 'trie') {
+            throw new Error("unknown matcher '" + matcher + "'");
+        }
 
+        this.matcher = matcher;
+        this.routes = [];
+        this.stack = [];
+        this.names = new Map();
+        this.mounts = [];
+    }
 
-module.exports = Router;
\ No newline at end of file
+    /* handlers that run once per request, in front of the handlers of the first matched route */
+    use(...handlers) {
+        this.stack.push(...handlers);
+        return this;
+    }
+
+    /* a route for any method */
+    add(...args) {
+        return this.route('*', ...args);
+    }
+
+    /**
+     * route(method, [name], template, ...handlers)
+     * A named route can be turned back into a url with router.url(name). The
+     * template is a string, or a UriTemplate to give its variables types.
+     */
+    route(method, ...args) {
+        const name = isTemplate(args[1]) ? args.shift() : undefined;
+        const [template, ...handlers] = args;
+
+        addRoute(this, {
+            name,
+            method: method.toUpperCase(),
+            template: template instanceof UriTemplate ? template : new UriTemplate(template),
+            handlers,
+            stacks: []
+        });
+        return this;
+    }
+
+    /**
+     * Adds the routes of router with their templates behind prefix, so the
+     * variables of the prefix are parsed for each of them. The handlers of
+     * router.use run after those of this router. Routes added to router
+     * later are mounted as well.
+     */
+    mount(prefix, router) {
+        prefix = prefix instanceof UriTemplate ? prefix : new UriTemplate(prefix);
+        router.mounts.push({ prefix, parent: this });
+        router.routes.forEach(route => addRoute(this, mountRoute(prefix, router, route)));
+        return this;
+    }
+
+    /* the routes in the order handle tries them */
+    order() {
+        if (!this.ranked) this.ranked = this.routes.slice().sort(compareRoutes);
+        return this.ranked;
+    }
+
+    /* the routes that may match url, in the order handle tries them */
+    candidates(url) {
+        if (this.matcher === 'linear') return this.order();
+
+        /* on normal forms, as templates match equivalent urls */
+        if (!this.trie) {
+            const trie = this.trie = new RouteTrie();
+            this.order().forEach(function (route, rank) {
+                trie.insert(routeKey(route.template), { route, rank });
+            });
+        }
+
+        return this.trie.lookup(UriTemplate.normalize(url)).sort((a, b) => a.rank - b.rank).map(x => x.route);
+    }
+
+    /**
+     * Routes that can never be reached, because a route before them in the
+     * order has an equivalent template and accepts the same methods. They
+     * can still be reached when that route falls through.
+     */
+    unreachable() {
+        const seen = [];
+        const result = [];
+
+        this.order().forEach(function (route) {
+            const shape = templateShape(route.template);
+            const shadowedBy = seen.find(x => x.shape === shape && (x.route.method === '*' || x.route.method === route.method));
+            if (shadowedBy) result.push({ route, shadowedBy: shadowedBy.route });
+            seen.push({ route, shape });
+        });
+
+        return result;
+    }
+
+    /**
+     * Expands the template of a named route. Variables outside of query and
+     * fragment expressions are required.
+     */
+    url(name, params = {}) {
+        const route = this.names.get(name);
+        if (!route) throw new Error("there is no route named '" + name + "'");
+
+        const missing = requiredVariables(route.template).filter(x => isEmpty(params[x]));
+        if (missing.length) {
+            throw new Error("route '" + name + "' requires " + missing.map(x => "'" + x + "'").join(', '));
+        }
+
+        return route.template.stringify(params);
+    }
+
+    /**
+     * The first route handle would call for url, as { route, params,
+     * handlers } with the handlers it would run, or null. Without a method
+     * routes for any method match. No handlers are called, so a route that
+     * would fall through is still the match.
+     */
+    match(url, method) {
+        method = method && method.toUpperCase();
+
+        for (const route of this.candidates(url)) {
+            if (method && !accepts(route, method)) continue;
+            const params = parseUrl(route.template, url);
+            if (params) return { route, params, handlers: handlersOf(this, route) };
+        }
+        return null;
+    }
+
+    /**
+     * Every route that matches url, in the order handle tries them, as
+     * { route, params, handlers, score }. The score is the specificity the
+     * routes are ordered by. Without a method routes for any method match.
+     */
+    matchAll(url, method) {
+        method = method && method.toUpperCase();
+        const router = this;
+
+        return this.candidates(url).reduce(function (matches, route) {
+            if (method && !accepts(route, method)) return matches;
+            const params = parseUrl(route.template, url);
+            if (params) matches.push({ route, params, handlers: handlersOf(router, route), score: route.score });
+            return matches;
+        }, []);
+    }
+
+    async handle(url, method = 'GET', ...args) {
+        method = method.toUpperCase();
+        const allowed = [];
+        const ran = new Set();
+
+        for (const route of this.candidates(url)) {
+            const params = parseUrl(route.template, url);
+            if (!params) continue;
+
+            if (!accepts(route, method)) {
+                if (!~allowed.indexOf(route.method)) allowed.push(route.method);
+                continue;
+            }
+
+            /* middleware that ran in front of a route that fell through does not run again */
+            const stacks = [this.stack].concat(route.stacks).filter(x => !ran.has(x));
+            stacks.forEach(x => ran.add(x));
+            if (await runHandlers([].concat(...stacks, route.handlers), args.concat(params))) {
+                return { status: 200, route, params };
+            }
+        }
+
+        if (allowed.length) return { status: 405, allowed };
+        return { status: 404 };
+    }
+
+    /**
+     * A request listener for Node's http server, that works as Express or
+     * Connect middleware too. Handlers are called with (req, res, params,
+     * next). Requests that no route handles are passed on to next, without
+     * a next function they are answered with a 404 or 405.
+     */
+    middleware() {
+        const router = this;
+
+        return function (req, res, next) {
+            router.handle(req.url, req.method, req, res).then(function (result) {
+                if (result.status === 200) return;
+                if (next) return next();
+
+                if (result.status === 405) res.setHeader('Allow', result.allowed.join(', '));
+                res.statusCode = result.status;
+                res.end();
+            }, function (error) {
+                if (next) return next(error);
+
+                res.statusCode = 500;
+                res.end();
+            });
+        };
+    }
+
+    /**
+     * An OpenAPI 3 document of the routes, see openapi.js. `info` is the info
+     * of the document, `parameters` has metadata of variables by name that
+     * is merged into their parameter objects. Routes with templates OpenAPI
+     * can not describe throw, or are left out with `skipUnsupported`.
+     */
+    toOpenApi(options) {
+        return openapi.exportRoutes(this.routes, options);
+    }
+
+    /**
+     * A router with a route for every operation of an OpenAPI 3 document,
+     * named by its operationId. `handlers` has the handlers of operations
+     * by operationId, a function or an array of them.
+     */
+    static fromOpenApi(document, { handlers = {}, matcher } = {}) {
+        const router = new Router({ matcher });
+
+        openapi.importRoutes(document).forEach(function ({ name, method, template }) {
+            if (name === undefined) return router.route(method, template);
+            router.route(method, name, template, ...[].concat(handlers[name] || []));
+        });
+        return router;
+    }
+
+    static createServer(router) {
+        const http = require('http');
+        return http.createServer(router.middleware());
+    }
+
+}
+
+METHODS.forEach(function (method) {
+    Router.prototype[method.toLowerCase()] = function (template, ...handlers) {
+        return this.route(method, template, ...handlers);
+    };
+});
+
+
+/* adds the route to router, and to the routers router is mounted on */
+function addRoute(router, route) {
+    const { name } = route;
+    if (name !== undefined && router.names.has(name)) {
+        throw new Error("route '" + name + "' is already defined");
+    }
+
+    route = Object.assign({}, route, {
+        score: specificity(route.template),
+        index: router.routes.length
+    });
+    router.routes.push(route);
+    router.ranked = null;
+    router.trie = null;
+    if (name !== undefined) router.names.set(name, route);
+
+    router.mounts.forEach(function ({ prefix, parent }) {
+        addRoute(parent, mountRoute(prefix, router, route));
+    });
+}
+
+/* the route of router as it is mounted behind prefix */
+function mountRoute(prefix, router, { name, method, template, handlers, stacks }) {
+    let source = String(template);
+    if (String(prefix).endsWith('/') && source.startsWith('/')) source = source.substring(1);
+
+    return {
+        name,
+        method,
+        template: new UriTemplate(String(prefix) + source, {
+            variables: Object.assign({}, prefix.types, template.types),
+            rest: template.rest,
+            serializers: template.serializers.concat(prefix.serializers)
+        }),
+        handlers,
+        stacks: [router.stack].concat(stacks)
+    };
+}
+
+/* the key of the template in a RouteTrie: its literals in normal form, with the reserved characters of the expressions between them */
+function routeKey(template) {
+    const { pieces, glues } = template.data.matching;
+    const key = [UriTemplate.normalize(glues[0])];
+
+    pieces.forEach(function ({ chars }, i) {
+        key.push({ chars }, UriTemplate.normalize(glues[i + 1]));
+    });
+    return key;
+}
+
+function specificity(template) {
+    const { pieces, glues } = template.data;
+
+    return {
+        literals: UriTemplate.normalize(glues.join('')).length,
+        expressions: pieces.length,
+        constraint: pieces.reduce(function (sum, { operator, variables }) {
+            return variables.reduce(function (sum, { maxLength, composite }) {
+                return sum + (maxLength ? 1 : 0) - (composite ? 1 : 0);
+            }, sum + OPERATOR_CONSTRAINT[operator]);
+        }, 0)
+    };
+}
+
+function compareRoutes(a, b) {
+    return b.score.literals - a.score.literals ||
+        a.score.expressions - b.score.expressions ||
+        b.score.constraint - a.score.constraint ||
+        a.index - b.index;
+}
+
+/* the template with the names of variables that do not affect matching left out, and literals in normal form */
+function templateShape(template) {
+    const { pieces, glues } = template.data;
+
+    return UriTemplate.normalize(glues[0]) + pieces.map(function ({ operator, variables }, i) {
+        const named = ~[';', '?', '&'].indexOf(operator);
+        const varspecs = variables.map(function ({ name, maxLength, composite }) {
+            return (named ? name : '') + (maxLength ? ':' + maxLength : '') + (composite ? '*' : '');
+        });
+        return '{' + operator + varspecs.join(',') + '}' + UriTemplate.normalize(glues[i + 1]);
+    }).join('');
+}
+
+function requiredVariables(template) {
+    const names = [];
+    template.variables.forEach(function ({ name, operator }) {
+        if (~['?', '&', '#'].indexOf(operator)) return;
+        if (!~names.indexOf(name)) names.push(name);
+    });
+    return names;
+}
+
+function accepts(route, method) {
+    return route.method === '*' || route.method === method || method === 'HEAD' && route.method === 'GET';
+}
+
+/* the params of url, a template without a query matches the url without its query when it does not match the whole url */
+function parseUrl(template, url) {
+    const params = template.parse(url);
+    const index = url.indexOf('?');
+    if (params || index === -1 || /\?|\{&/.test(template.toString())) return params;
+    return template.parse(url.substring(0, index));
+}
+
+/* the handlers of router.use, then those of the routers the route was mounted from, then those of the route */
+function handlersOf(router, route) {
+    return router.stack.concat(...route.stacks, route.handlers);
+}
+
+function isTemplate(value) {
+    return typeof value === 'string' || value instanceof UriTemplate;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+}
+
+/* resolves to false when the chain fell through */
+async function runHandlers(handlers, args) {
+    let fallthrough = false;
+    await call(0);
+    return !fallthrough;
+
+    async function call(index) {
+        if (index === handlers.length) {
+            fallthrough = true;
+            return;
+        }
+
+        let called = false;
+        const next = function () {
+            called = true;
+            return call(index + 1);
+        };
+
+        const result = await handlers[index](...args, next);
+        if (result === false && !called) fallthrough = true;
+    }
+}
+
+module.exports = Router;
@@ -0,0 +1,299 @@
+/**
+ * Type definitions for UriTemplate. The names of the variables are read
+ * from the template when it is a string literal type, so stringify and
+ * parse only take and return the variables of the template.
+ */
+
+declare namespace UriTemplate {
+
+    type Operator = '+' | '#' | '.' | '/' | ';' | '?' | '&';
+
+    /* the expressions of a template, without their braces */
+    type Expressions<T extends string> =
+        T extends `${string}{${infer Expression}}${infer Rest}` ? Expression | Expressions<Rest> : never;
+
+    type Split<T extends string> =
+        T extends `${infer Head},${infer Tail}` ? Head | Split<Tail> : T;
+
+    /* the variable specs of an expression, like 'id', 'tags*' or 'name:3' */
+    type VarSpecs<T extends string> =
+        T extends `${Operator}${infer List}` ? Split<List> : Split<T>;
+
+    type NameOf<T extends string> =
+        T extends `${infer Name}:${string}` ? Name :
+        T extends `${infer Name}*` ? Name :
+        T;
+
+    type ExplodedNameOf<T extends string> =
+        T extends `${infer Name}*` ? Name : never;
+
+    /** The names of the variables of a template. */
+    type VariableName<T extends string> = NameOf<VarSpecs<Expressions<T>>>;
+
+    /** The names of the variables of a template with an explode modifier. */
+    type ExplodedVariableName<T extends string> = ExplodedNameOf<VarSpecs<Expressions<T>>>;
+
+    type PrefixedNameOf<T extends string> =
+        T extends `${infer Name}:${string}` ? Name : never;
+
+    type UnprefixedNameOf<T extends string> =
+        T extends `${string}:${string}` ? never : NameOf<T>;
+
+    /** The names of the variables of a template that only have prefix modifiers. */
+    type PrefixedVariableName<T extends string> =
+        Exclude<PrefixedNameOf<VarSpecs<Expressions<T>>>, UnprefixedNameOf<VarSpecs<Expressions<T>>>>;
+
+    type Scalar = string | number | boolean;
+
+    /** What the built in serializers expand without a type. */
+    type Serializable = Date | bigint | Set<Scalar> | Map<string, Scalar | Scalar[]> | URLSearchParams;
+
+    type Item = Scalar | Serializable | null | undefined;
+
+    /** A value that can be expanded, undefined and null values are skipped. Lists in maps repeat their key when exploded. */
+    type Value = Item | Item[] | { [key: string]: Item | Item[] };
+
+    /** What parse returns for a variable, values with an unencoded ',' are lists. */
+    type ParsedValue = string | string[];
+
+    /** What parse returns for an exploded variable, lists or maps. */
+    type ParsedExplodedValue = string[] | { [key: string]: ParsedValue };
+
+    /** A custom type, parse and stringify return undefined for values not of the type. */
+    interface VariableType<V = unknown> {
+        parse(value: string): V | undefined;
+        stringify(value: V): string | undefined;
+        /** The JSON Schema Router.toOpenApi gives the parameters of the type. */
+        schema?: { [key: string]: unknown };
+    }
+
+    /** A type that converts whole values, deserialize and serialize return undefined for values not of the type. */
+    interface CompositeType<V = unknown> {
+        deserialize(value: ParsedValue | ParsedExplodedValue): V | undefined;
+        serialize(value: V): Value | undefined;
+        /** The JSON Schema Router.toOpenApi gives the parameters of the type. */
+        schema?: { [key: string]: unknown };
+    }
+
+    /** A type in the serializer registry, see addSerializer. */
+    type Serializer<V = unknown> = (VariableType<V> | CompositeType<V>) & {
+        /** The name the `variables` option knows the type by. */
+        name?: string;
+        /** Whether stringify serializes the value of a variable without a type. */
+        test?(value: unknown): boolean;
+    };
+
+    /**
+     * The types of the named serializers. Serializers added with a name can
+     * declare it by merging into this interface.
+     */
+    interface TypeNames {
+        integer: number;
+        number: number;
+        boolean: boolean;
+        date: Date;
+        'date-time': Date;
+        bigint: bigint;
+        set: Set<string>;
+        map: Map<string, ParsedValue>;
+        'search-params': URLSearchParams;
+    }
+
+    type TypeName = keyof TypeNames;
+
+    type TypeSpec = TypeName | RegExp | ((value: string) => unknown) | VariableType<any> | CompositeType<any>;
+
+    type TypeOf<S> =
+        S extends TypeName ? TypeNames[S] :
+        S extends RegExp ? string :
+        S extends VariableType<infer V> ? V :
+        S extends CompositeType<infer V> ? V :
+        S extends (value: string) => infer V ? Exclude<V, undefined> :
+        never;
+
+    type VariableTypes = { [name: string]: TypeSpec };
+
+    interface Options<V extends VariableTypes = {}, R extends string = never> {
+        /** Throw the first UriTemplateSyntaxError of the template. */
+        strict?: boolean;
+        /** The types of variables. */
+        variables?: V;
+        /** The variable that collects query parameters the template does not know. */
+        rest?: R;
+        /** Serializers of the template, tried before those of addSerializer. */
+        serializers?: Serializer<any>[];
+    }
+
+    interface ParseOptions {
+        /** Throw a UriTemplateMatchError instead of returning false. */
+        strict?: boolean;
+        /** Return the values of prefix variables as { value, truncated }. */
+        partial?: boolean;
+    }
+
+    /** A value of a prefix variable, truncated when it is as long as the prefix. */
+    interface PrefixValue<V> {
+        value: V;
+        truncated: boolean;
+    }
+
+    /** The data stringify takes. */
+    type StringifyData<T extends string, V extends VariableTypes = {}> =
+        string extends T ? { [name: string]: unknown } : {
+            [K in VariableName<T>]?: K extends keyof V ? TypeOf<V[K]> | Array<TypeOf<V[K]>> | string | null : Value;
+        };
+
+    type ParsedVariable<T extends string, V extends VariableTypes, K extends string> =
+        K extends keyof V ? TypeOf<V[K]> | Array<TypeOf<V[K]>> | { [key: string]: TypeOf<V[K]> } :
+        K extends ExplodedVariableName<T> ? ParsedExplodedValue :
+        K extends PrefixedVariableName<T> ? string :
+        ParsedValue;
+
+    /** The data parse returns, with P the values of prefix variables are PrefixValues. */
+    type ParseResult<T extends string, V extends VariableTypes = {}, R extends string = never, P extends boolean = false> =
+        string extends T ? { [name: string]: unknown } : {
+            [K in VariableName<T>]?: P extends true ?
+                K extends PrefixedVariableName<T> ? PrefixValue<ParsedVariable<T, V, K>> : ParsedVariable<T, V, K> :
+                ParsedVariable<T, V, K>;
+        } & {
+            [K in R]?: { [key: string]: ParsedValue };
+        };
+
+    /** A variable of the template, as template.variables lists it. */
+    interface VariableInfo {
+        name: string;
+        operator: '' | Operator;
+        /** The length of the prefix modifier. */
+        maxLength?: number;
+        explode: boolean;
+    }
+
+    interface ExpressionInfo {
+        source: string;
+        operator: '' | Operator;
+        variables: VariableInfo[];
+    }
+
+    interface Variable {
+        name: string;
+        maxLength?: number;
+        composite: boolean;
+    }
+
+    interface Piece {
+        operator: '' | Operator;
+        variables: Variable[];
+        source: string;
+    }
+
+    interface TemplateData {
+        pieces: Piece[];
+        /** The literal text between the expressions, as in the template. */
+        glues: string[];
+        /** The glues as stringify expands them, with characters a URI does not allow pct-encoded. */
+        expandedGlues: string[];
+    }
+
+    class UriTemplateMatchError extends Error {
+        name: 'UriTemplateMatchError';
+        offset: number;
+        /** The literal that was not found. */
+        literal?: string;
+        /** The expression whose value did not match. */
+        expression?: string;
+    }
+
+    class UriTemplateSyntaxError extends Error {
+        name: 'UriTemplateSyntaxError';
+        reason: string;
+        offset: number;
+        line: number;
+        column: number;
+    }
+
+    interface CacheOptions {
+        /** The number of templates compile keeps, 500 by default. */
+        size?: number;
+        /** Whether to count hits, misses and evictions, true by default. */
+        stats?: boolean;
+    }
+
+    interface CacheStats {
+        size: number;
+        maxSize: number;
+        hits: number;
+        misses: number;
+        evictions: number;
+    }
+
+    /** The cached UriTemplate of the template, every caller shares it. */
+    function compile<T extends string>(template: T): UriTemplate<T>;
+
+    function configureCache(options: CacheOptions): void;
+
+    function cacheStats(): CacheStats;
+
+    function clearCache(): void;
+
+    /** Registers a serializer for every template, before those registered earlier. */
+    function addSerializer(serializer: Serializer<any>): void;
+
+    function removeSerializer(serializer: Serializer<any>): void;
+
+    /** Resolves relative against base as RFC 3986 section 5.2 resolves references. */
+    function join(base: string | UriTemplate<any, any, any>, relative: string | UriTemplate<any, any, any>): UriTemplate;
+
+    /** The RFC 3986 normal form parse matches literals on: pct-encoded where needed, uppercase triplets and unreserved characters decoded. */
+    function normalize(uri: string): string;
+
+    /** Every syntax error in the template, an empty array for a valid template. */
+    function validate(template: string): UriTemplateSyntaxError[];
+}
+
+declare class UriTemplate<T extends string = string, V extends UriTemplate.VariableTypes = {}, R extends string = never> {
+    constructor(template: T, options?: UriTemplate.Options<V, R>);
+
+    static UriTemplate: typeof UriTemplate;
+
+    readonly data: UriTemplate.TemplateData;
+
+    readonly serializers: UriTemplate.Serializer<any>[];
+
+    /** Every expression, in order. */
+    readonly expressions: UriTemplate.ExpressionInfo[];
+
+    /** Every variable of every expression, in order. */
+    readonly variables: UriTemplate.VariableInfo[];
+
+    /** The literal text between the expressions, empty literals left out. */
+    readonly literals: string[];
+
+    /** The lowest level of RFC 6570 that supports the template. */
+    readonly level: 1 | 2 | 3 | 4;
+
+    /** The data of the string, or false when it does not match the template. */
+    parse(str: string, options: { strict: true; partial: true }): UriTemplate.ParseResult<T, V, R, true>;
+    parse(str: string, options: { strict: true; partial?: false }): UriTemplate.ParseResult<T, V, R>;
+    parse(str: string, options: { strict?: boolean; partial: true }): UriTemplate.ParseResult<T, V, R, true> | false;
+    parse(str: string, options?: UriTemplate.ParseOptions): UriTemplate.ParseResult<T, V, R> | false;
+
+    /** The data of the string, throws a UriTemplateMatchError when it does not match. */
+    parseOrThrow(str: string, options: { partial: true }): UriTemplate.ParseResult<T, V, R, true>;
+    parseOrThrow(str: string, options?: { partial?: false }): UriTemplate.ParseResult<T, V, R>;
+
+    /** The anchored RegExp parse matches like, a group for every expression. */
+    toRegExp(): RegExp;
+
+    stringify(data?: UriTemplate.StringifyData<T, V>): string;
+
+    /** Resolves relative against this template, see UriTemplate.join. */
+    resolve(relative: string | UriTemplate<any, any, any>): UriTemplate;
+
+    /** The template, as it was given. */
+    toString(): string;
+
+    /** A new template with the defined variables expanded and the others kept. */
+    expandPartial(data?: UriTemplate.StringifyData<T, V>): UriTemplate<string, V, R>;
+}
+
+export = UriTemplate;
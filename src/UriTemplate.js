@@ -1,48 +1,97 @@
-const OPERATIONS = ({
-    "" : { prefix: "",  seperator: ",", assignment: false, assignEmpty: false, encode: percentEncode        },
-    "+": { prefix: "",  seperator: ",", assignment: false, assignEmpty: false, encode: encodeURI            },
-    "#": { prefix: "#", seperator: ",", assignment: false, assignEmpty: false, encode: encodeURI            },
-    ".": { prefix: ".", seperator: ".", assignment: false, assignEmpty: false, encode: percentEncode        },
-    "/": { prefix: "/", seperator: "/", assignment: false, assignEmpty: false, encode: encodeURIComponent   },
-    ";": { prefix: ";", seperator: ";", assignment: true,  assignEmpty: false, encode: encodeURIComponent   },
-    "?": { prefix: "?", seperator: "&", assignment: true,  assignEmpty: true,  encode: encodeURIComponent   },
-    "&": { prefix: "&", seperator: "&", assignment: true,  assignEmpty: true,  encode: encodeURIComponent   }
-})
+const { resolve: resolveReference } = require('./resolve');
+const LruCache = require('./LruCache');
+const OPERATORS = require('./operators');
+const LinearRegExp = require('./LinearRegExp');
+
+/* the operators with the functions that encode and decode their values */
+const OPERATIONS = Object.keys(OPERATORS).reduce(function (operations, operator) {
+    const { reserved } = OPERATORS[operator];
+    operations[operator] = Object.assign({}, OPERATORS[operator], {
+        encode: reserved ? reservedEncode : percentEncode,
+        decode: reserved ? reservedDecode : percentDecode
+    });
+    return operations;
+}, {});
 
 /* http://tools.ietf.org/html/rfc6570#section-2.3 */
 function isUndefined(value) {
     if (value === null) return true;
     if (value === undefined) return true;
     if (Array.isArray(value) && value.length === 0) return true;
+    if (isPlainObject(value) && Object.keys(value).every(key => isUndefined(value[key]))) return true;
     return false;
 }
 
+function isPlainObject(value) {
+    if (typeof value !== 'object' || value === null) return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
 function isDefined(value) {
     return !isUndefined(value);
 }
 
 const unreserved = "-._~";
+const reserved = ":/?#[]@!$&'()*+,;=";
 
 
-function percentTransform(ch) {
+/* http://tools.ietf.org/html/rfc3986#section-2.3 */
+function isUnreserved(ch) {
     var charCode = ch.charCodeAt(0);
 
-    if (charCode >= 0x30 && charCode <= 0x39) return ch;
-    if (charCode >= 0x41 && charCode <= 0x5a) return ch;
-    if (charCode >= 0x61 && charCode <= 0x7a) return ch;
+    if (charCode >= 0x30 && charCode <= 0x39) return true;
+    if (charCode >= 0x41 && charCode <= 0x5a) return true;
+    if (charCode >= 0x61 && charCode <= 0x7a) return true;
+
+    return ch.length === 1 && !!~unreserved.indexOf(ch);
+}
+
+/* http://tools.ietf.org/html/rfc3986#section-2.2 */
+function isReserved(ch) {
+    return ch.length === 1 && !!~reserved.indexOf(ch);
+}
+
+/**
+ * Percent-encodes the UTF-8 octets of a single code point. Lone surrogates
+ * cannot be represented in UTF-8 and are replaced by U+FFFD.
+ */
+function utf8PercentEncode(ch) {
+    let codePoint = ch.codePointAt(0);
+    if (codePoint >= 0xD800 && codePoint <= 0xDFFF) codePoint = 0xFFFD;
+
+    let octets;
+    if (codePoint < 0x80) {
+        octets = [codePoint];
+    } else if (codePoint < 0x800) {
+        octets = [0xC0 | codePoint >> 6, 0x80 | codePoint & 0x3F];
+    } else if (codePoint < 0x10000) {
+        octets = [0xE0 | codePoint >> 12, 0x80 | codePoint >> 6 & 0x3F, 0x80 | codePoint & 0x3F];
+    } else {
+        octets = [0xF0 | codePoint >> 18, 0x80 | codePoint >> 12 & 0x3F, 0x80 | codePoint >> 6 & 0x3F, 0x80 | codePoint & 0x3F];
+    }
 
-    if (~unreserved.indexOf(ch)) return ch;
+    return octets.map(octet => '%' + (octet < 0x10 ? '0' : '') + octet.toString(16).toUpperCase()).join('');
+}
 
-    return '%' + charCode.toString(16).toUpperCase();
+function percentTransform(ch) {
+    if (isUnreserved(ch)) return ch;
+    return utf8PercentEncode(ch);
 }
 
+function reservedTransform(ch) {
+    if (isUnreserved(ch) || isReserved(ch)) return ch;
+    return utf8PercentEncode(ch);
+}
+
+/* iterates by code point, so surrogate pairs stay together */
 function applyStringTransform(value, mapper) {
-    return value.split("")
+    return Array.from(value)
                 .map(mapper)
                 .join('');
 }
 
-/* http://tools.ietf.org/html/rfc3986#section-2.3 */
+/* http://tools.ietf.org/html/rfc6570#section-3.2.1 allowed set U */
 function percentEncode(value) {
     if (isUndefined(value)) return '';
     const string = value.toString()
@@ -50,6 +99,105 @@ function percentEncode(value) {
         string, percentTransform)
 }
 
+/**
+ * http://tools.ietf.org/html/rfc6570#section-3.2.1 allowed set U+R
+ * Existing pct-encoded triplets are passed through unchanged.
+ */
+function reservedEncode(value) {
+    if (isUndefined(value)) return '';
+    const string = value.toString()
+    return string.split(/(%[0-9A-Fa-f]{2})/)
+                 .map((part, i) => i % 2 ? part : applyStringTransform(part, reservedTransform))
+                 .join('');
+}
+
+/**
+ * Inverse of percentEncode and reservedEncode. Octets that do not form valid
+ * UTF-8 are left as pct-encoded triplets, a "%" that does not start a triplet
+ * is malformed and throws a URIError like decodeURIComponent does.
+ */
+function percentDecode(value) {
+    if (/%(?![0-9A-Fa-f]{2})/.test(value)) throw new URIError("URI malformed");
+    return value.replace(/(?:%[0-9A-Fa-f]{2})+/g, triplets => decodeOctets(triplets));
+}
+
+/**
+ * Inverse of reservedEncode. Triplets for characters in U+R are kept, as
+ * reservedEncode only outputs those by passing existing triplets through.
+ * For the same reason "%25" stays encoded when it precedes two hex digits.
+ */
+function reservedDecode(value) {
+    if (/%(?![0-9A-Fa-f]{2})/.test(value)) throw new URIError("URI malformed");
+    return value.replace(/(?:%[0-9A-Fa-f]{2})+/g, function (triplets, offset) {
+        const next = value.substr(offset + triplets.length, 2);
+        return decodeOctets(triplets, function (ch, i, length) {
+            if (isUnreserved(ch) || isReserved(ch)) return false;
+            return !(ch === '%' && i + length === triplets.length && /^[0-9A-Fa-f]{2}$/.test(next));
+        });
+    });
+}
+
+function decodeOctets(triplets, accept) {
+    const octets = [];
+    for (let i = 0; i < triplets.length; i += 3) {
+        octets.push(parseInt(triplets.substr(i + 1, 2), 16));
+    }
+
+    let result = '';
+    for (let i = 0; i < octets.length;) {
+        const length = utf8SequenceLength(octets, i);
+        if (length === 0) {
+            result += triplets.substr(i * 3, 3);
+            i += 1;
+            continue;
+        }
+
+        let codePoint = length === 1 ? octets[i] : octets[i] & (0xFF >> (length + 1));
+        for (let j = 1; j < length; j++) codePoint = codePoint << 6 | octets[i + j] & 0x3F;
+        const ch = String.fromCodePoint(codePoint);
+        result += !accept || accept(ch, i * 3, length * 3) ? ch : triplets.substr(i * 3, length * 3);
+        i += length;
+    }
+    return result;
+}
+
+/* length of the well-formed UTF-8 sequence at octets[i], 0 when ill-formed */
+function utf8SequenceLength(octets, i) {
+    const lead = octets[i];
+    let length, min, max = 0xBF;
+
+    if (lead < 0x80) return 1;
+    if (lead >= 0xC2 && lead <= 0xDF) length = 2;
+    else if (lead >= 0xE0 && lead <= 0xEF) length = 3;
+    else if (lead >= 0xF0 && lead <= 0xF4) length = 4;
+    else return 0;
+
+    /* http://tools.ietf.org/html/rfc3629#section-4 */
+    min = lead === 0xE0 ? 0xA0 : lead === 0xF0 ? 0x90 : 0x80;
+    if (lead === 0xED) max = 0x9F;
+    if (lead === 0xF4) max = 0x8F;
+
+    if (i + length > octets.length) return 0;
+    if (octets[i + 1] < min || octets[i + 1] > max) return 0;
+    for (let j = 2; j < length; j++) {
+        if (octets[i + j] < 0x80 || octets[i + j] > 0xBF) return 0;
+    }
+    return length;
+}
+
+/**
+ * The RFC 3986 normal form of a URI or literal, section 6.2.2: characters
+ * that are not allowed in a URI are pct-encoded as RFC 6570 section 3.1
+ * expands literals, triplets are uppercase and triplets of unreserved
+ * characters are decoded.
+ */
+function normalize(value) {
+    return reservedEncode(value).replace(/%[0-9A-Fa-f]{2}/g, function (triplet) {
+        const ch = String.fromCharCode(parseInt(triplet.substring(1), 16));
+        return isUnreserved(ch) ? ch : triplet.toUpperCase();
+    });
+}
+
 /**
  * The operator characters equals ("="), comma (","), exclamation ("!"),
  * at sign ("@"), and pipe ("|") are reserved for future extensions.
@@ -61,7 +209,7 @@ function checkReserved(operator) {
     return operator
 }
 
-var reVariable = /^([\$_a-z][\$_a-z0-9]*)((?:\:[1-9][0-9]?[0-9]?[0-9]?)?)(\*?)$/i;
+var reVariable = /^((?:[\$_a-z0-9]|%[0-9a-f]{2})(?:\.?(?:[\$_a-z0-9]|%[0-9a-f]{2}))*)((?:\:[1-9][0-9]?[0-9]?[0-9]?)?)(\*?)$/i;
 
 function variableMapper(variable) {
     var match = reVariable.exec(variable);
@@ -74,6 +222,185 @@ function variableMapper(variable) {
 
 
 
+/**
+ * Thrown by a strict parse when a string does not match the template. Tells
+ * which literal glue or expression failed, and at what character offset.
+ */
+class UriTemplateMatchError extends Error {
+
+    constructor(message, { offset, literal, expression }) {
+        super(message + " at offset " + offset);
+        this.name = 'UriTemplateMatchError';
+        this.offset = offset;
+        if (literal !== undefined) this.literal = literal;
+        if (expression !== undefined) this.expression = expression;
+    }
+
+}
+
+function literalError(literal, offset) {
+    return new UriTemplateMatchError(
+        "literal '" + literal + "' does not match", { offset, literal });
+}
+
+function expressionError(expression, reason, offset) {
+    return new UriTemplateMatchError(
+        "expression '" + expression + "' does not match: " + reason, { offset, expression });
+}
+
+
+/**
+ * Thrown for templates that break the grammar of RFC 6570 section 2. The
+ * message ends with the offending line and a caret under the column.
+ */
+class UriTemplateSyntaxError extends Error {
+
+    constructor(reason, template, offset) {
+        const lines = template.split('\n');
+        let line = 0, column = offset;
+        while (line < lines.length - 1 && column > lines[line].length) {
+            column -= lines[line].length + 1;
+            line++;
+        }
+
+        super(reason + " at line " + (line + 1) + ", column " + (column + 1) + "\n" +
+            lines[line] + "\n" +
+            " ".repeat(column) + "^");
+        this.name = 'UriTemplateSyntaxError';
+        this.reason = reason;
+        this.offset = offset;
+        this.line = line + 1;
+        this.column = column + 1;
+    }
+
+}
+
+/**
+ *  http://tools.ietf.org/html/rfc6570#section-2.1
+ *	literals      =  %x21 / %x23-24 / %x26 / %x28-3B / %x3D / %x3F-5B
+ *	              /  %x5D / %x5F / %x61-7A / %x7E / ucschar / iprivate
+ *	              /  pct-encoded
+ */
+function isLiteral(codePoint) {
+    if (codePoint < 0x80) {
+        return codePoint > 0x20 && !~'"%\'<>\\^`{|}\x7f'.indexOf(String.fromCharCode(codePoint));
+    }
+    return isUcschar(codePoint) || isIprivate(codePoint);
+}
+
+/* http://tools.ietf.org/html/rfc3987#section-2.2 */
+function isUcschar(codePoint) {
+    if (codePoint >= 0xA0 && codePoint <= 0xD7FF) return true;
+    if (codePoint >= 0xF900 && codePoint <= 0xFDCF) return true;
+    if (codePoint >= 0xFDF0 && codePoint <= 0xFFEF) return true;
+    if (codePoint >= 0x10000 && codePoint <= 0xEFFFD) return (codePoint & 0xFFFF) <= 0xFFFD;
+    return false;
+}
+
+function isIprivate(codePoint) {
+    if (codePoint >= 0xE000 && codePoint <= 0xF8FF) return true;
+    if (codePoint >= 0xF0000 && codePoint <= 0x10FFFD) return (codePoint & 0xFFFF) <= 0xFFFD;
+    return false;
+}
+
+function describeCharacter(codePoint) {
+    if (codePoint > 0x20 && codePoint !== 0x7F) return "'" + String.fromCodePoint(codePoint) + "'";
+    return 'U+' + ('000' + codePoint.toString(16).toUpperCase()).slice(-4);
+}
+
+/**
+ * Checks a template against the grammar of RFC 6570 section 2 and returns
+ * every UriTemplateSyntaxError found, an empty array for a valid template.
+ * After an error inside an expression scanning resumes after its "}".
+ */
+function validateTemplate(template) {
+    const reVarchar = /^(?:[A-Za-z0-9_]|%[0-9A-Fa-f]{2})/;
+    const rePctEncoded = /^%[0-9A-Fa-f]{2}/;
+    const errors = [];
+
+    let offset = 0;
+    while (offset < template.length) {
+        const ch = template[offset];
+
+        if (ch === '{') {
+            offset = scanExpression(offset);
+            continue;
+        }
+        if (ch === '%') {
+            if (!rePctEncoded.test(template.substring(offset))) {
+                errors.push(new UriTemplateSyntaxError("Invalid percent-encoding", template, offset));
+            }
+            offset += 1;
+            continue;
+        }
+
+        const codePoint = template.codePointAt(offset);
+        if (ch === '}') {
+            errors.push(new UriTemplateSyntaxError("Unexpected '}' outside of an expression", template, offset));
+        } else if (!isLiteral(codePoint)) {
+            errors.push(new UriTemplateSyntaxError("Invalid literal character " + describeCharacter(codePoint), template, offset));
+        }
+        offset += codePoint > 0xFFFF ? 2 : 1;
+    }
+
+    return errors;
+
+    function scanExpression(start) {
+        const end = template.indexOf('}', start);
+        const next = template.indexOf('{', start + 1);
+        if (end === -1 || (next !== -1 && next < end)) {
+            errors.push(new UriTemplateSyntaxError("Unterminated expression", template, start));
+            return next === -1 ? template.length : next;
+        }
+
+        let offset = start + 1;
+        const operator = template[offset];
+        if (~'=,!@|'.indexOf(operator)) {
+            return fail("Operator '" + operator + "' is reserved for future extensions", offset);
+        }
+        if (~'+#./;?&'.indexOf(operator)) offset++;
+
+        for (;;) {
+            const nameStart = offset;
+            let match;
+            while ((match = reVarchar.exec(template.substring(offset)))) {
+                offset += match[0].length;
+                if (template[offset] === '.' && reVarchar.test(template.substring(offset + 1))) offset++;
+            }
+            if (offset === nameStart) {
+                return fail(template[offset] === '%' ?
+                    "Invalid percent-encoding" :
+                    "Expected a variable name", offset);
+            }
+
+            if (template[offset] === ':') {
+                const length = /^[0-9]*/.exec(template.substring(offset + 1))[0];
+                if (!/^[1-9][0-9]{0,3}$/.test(length)) {
+                    return fail("Prefix length must be an integer from 1 to 9999", offset + 1);
+                }
+                offset += 1 + length.length;
+            } else if (template[offset] === '*') {
+                offset++;
+            }
+
+            if (offset === end) return end + 1;
+            if (template[offset] === '%') {
+                return fail("Invalid percent-encoding", offset);
+            }
+            if (template[offset] !== ',') {
+                return fail("Unexpected " + describeCharacter(template.codePointAt(offset)) + " in expression", offset);
+            }
+            offset++;
+        }
+
+        function fail(reason, offset) {
+            errors.push(new UriTemplateSyntaxError(reason, template, offset));
+            return end + 1;
+        }
+    }
+}
+
+
 /**
  *  http://tools.ietf.org/html/rfc6570#section-2.2
  *	expression    =  "{" [ operator ] variable-list "}"
@@ -83,7 +410,7 @@ function variableMapper(variable) {
  *	op-reserve    =  "=" / "," / "!" / "@" / "|"
  */
 function preprocessTemplate(template) {
-    const reTemplate = /\{([\+#\.\/;\?&=\,!@\|]?)([A-Za-z0-9_\,\.\:\*]+?)\}/g;
+    const reTemplate = /\{([\+#\.\/;\?&=\,!@\|]?)([A-Za-z0-9_\,\.\:\*%]+?)\}/g;
 
     const pieces = [];
     const glues = [];
@@ -96,102 +423,964 @@ function preprocessTemplate(template) {
         glues.push(prefix);
         const operator  = checkReserved(match[1]);
         const variables = match[2].split(',').map(variableMapper);
-        pieces.push({ operator, variables });
+        pieces.push({ operator, variables, source: match[0] });
         offset = match.index + match[0].length;
     }
 
     glues.push(template.substring(offset));
 
-    return { pieces, glues }
+    /* http://tools.ietf.org/html/rfc6570#section-3.1 */
+    const expandedGlues = glues.map(reservedEncode);
+
+    return { pieces, glues, expandedGlues, matching: mergeQueryPieces(pieces, glues) }
+}
+
+/**
+ * For matching, adjacent "?" and "&" expressions are merged into a single
+ * piece, so query parameters are found by name wherever they are in the
+ * query. The merged piece starts with "&" when its leading expressions are
+ * undefined.
+ */
+function mergeQueryPieces(pieces, glues) {
+    const merged = { pieces: [], glues: [glues[0]] };
+
+    pieces.forEach(function (piece, i) {
+        const previous = merged.pieces[merged.pieces.length - 1];
+        const isQuery = piece.operator === '?' || piece.operator === '&';
+
+        if (isQuery && previous && previous.query && glues[i] === '') {
+            merged.pieces[merged.pieces.length - 1] = {
+                operator: previous.operator,
+                variables: previous.variables.concat(piece.variables),
+                source: previous.source + piece.source,
+                prefixes: ~previous.prefixes.indexOf('&') ? previous.prefixes : previous.prefixes.concat('&'),
+                query: true
+            };
+            merged.glues[merged.glues.length - 1] = glues[i + 1];
+            return;
+        }
+
+        merged.pieces.push(Object.assign({}, piece, {
+            prefixes: [OPERATIONS[piece.operator].prefix],
+            query: isQuery
+        }));
+        merged.glues.push(glues[i + 1]);
+    });
+
+    merged.pieces.forEach(function (piece) {
+        piece.pattern = expressionPattern(piece);
+        piece.chars = expressionChars(piece);
+    });
+    merged.literals = merged.glues.map(literalPattern);
+    /* "d" for the offsets of the groups, it needs Node 16 */
+    merged.regexp = new RegExp("^" + matchingSource(merged) + "$", "d");
+    merged.ambiguous = isAmbiguous(merged);
+    merged.matcher = merged.ambiguous ? new LinearRegExp(merged.regexp.source) : merged.regexp;
+    return merged;
+}
+
+/* the reserved characters a value of the expression may contain, "+" and "#" keep all of them */
+function expressionChars({ operator, variables, prefixes, query }) {
+    const { seperator, assignment } = OPERATIONS[operator];
+    if (operator === "+" || operator === "#") return reserved;
+    if (query) return prefixes.join('') + seperator + '=' + queryChars;
+
+    const exploded = variables.some(x => x.composite);
+    return prefixes.join('') + seperator + ',' + (assignment || exploded ? '=' : '');
+}
+
+/**
+ * Whether an expression may contain a character that can follow it. The
+ * RegExp then tries every split of a string between such expressions, which
+ * takes polynomial time when the string does not match, so parse matches
+ * with a LinearRegExp instead. Otherwise every expression ends where the
+ * first character that it can not contain is, and the RegExp is linear.
+ */
+function isAmbiguous({ pieces, glues }) {
+    return pieces.some(function ({ chars }, i) {
+        return followers(pieces, glues, i + 1).some(ch => !isReserved(ch) || ~chars.indexOf(ch));
+    });
+}
+
+/* the characters the string can go on with in front of glue i, none at the end */
+function followers(pieces, glues, i) {
+    const literal = normalize(glues[i]);
+    if (literal) return [literal[0]];
+    if (i === pieces.length) return [];
+    return pieces[i].prefixes.map(x => x.charAt(0)).concat(followers(pieces, glues, i + 1));
 }
 
-function getSegmentsOffsets(str, glues) {
-    var offset = 0;
-    var offsets = [];
+const reUnreservedChars = "A-Za-z0-9\\-._~";
+const reReservedChars = ":/?#\\[\\]@!$&'()*+,;=";
+/* the reserved characters a query may contain unencoded, but "&" and "=" that split it */
+const queryChars = "!$'()*+,;:@/?";
 
-    for (let i = 0, length = glues.length; i < length; i++) {
-        const glue = glues[i];
+function escapeRegExp(string) {
+    return string.replace(/[\\^$.*+?()[\]{}|\/-]/g, '\\$&');
+}
 
-        if (i === length - 1 && glue === '') {
-            offsets.push(str.length);
-            break;
+/**
+ * Matches every string with the normal form of the literal: triplets in
+ * either case, unreserved characters as themselves or as triplets, and
+ * other characters as triplets or, where that is not a different URI,
+ * unencoded. Reserved characters are not the same as their triplets.
+ */
+function literalPattern(literal) {
+    return normalize(literal).replace(/(?:%[0-9A-F]{2})+|[\s\S]/g, function (part) {
+        if (part[0] !== "%") {
+            return isUnreserved(part) ? "(?:" + escapeRegExp(part) + "|" + tripletsPattern(utf8PercentEncode(part)) + ")" : escapeRegExp(part);
         }
 
-        const index = str.indexOf(glue, offset);
-        if (index === -1) throw new Error(null)
+        let pattern = "", covered = 0;
+        decodeOctets(part, function (ch, i, length) {
+            const triplets = tripletsPattern(part.substr(i, length));
+            pattern += tripletsPattern(part.substring(covered, i));
+            pattern += isReserved(ch) || ch === "%" ? triplets : "(?:" + escapeRegExp(ch) + "|" + triplets + ")";
+            covered = i + length;
+            return true;
+        });
+        return pattern + tripletsPattern(part.substring(covered));
+    });
+}
+
+function tripletsPattern(triplets) {
+    return triplets.replace(/[A-F]/g, x => "[" + x + x.toLowerCase() + "]");
+}
+
+function charsPattern(chars) {
+    return "(?:[" + chars + "]|%[0-9A-Fa-f]{2})*";
+}
+
+/**
+ * The shape an expansion of the expression can take, given the characters
+ * its operator leaves unencoded and how many items its variables produce.
+ * When the separator is one of the characters an item may contain, any
+ * number of items can be read as one, so the value is a single run of
+ * those characters. That also keeps the compiled template from
+ * backtracking exponentially. Query expressions take any number of items
+ * with any key, parse skips the parameters it does not know. Their keys
+ * and values may contain every character a query may, as browsers send
+ * "+" for spaces and leave "/" and ":" unencoded.
+ */
+function expressionPattern({ operator, variables, prefixes, query }) {
+    const { seperator, assignment } = OPERATIONS[operator];
+    const exploded = variables.some(x => x.composite);
+    const repeat = exploded || query ? "*" : "{0," + (variables.length - 1) + "}";
+    const prefix = "(?:" + prefixes.map(escapeRegExp).join('|') + ")";
+
+    let item;
+    if (operator === "+" || operator === "#") {
+        return "(?:" + prefix + charsPattern(reUnreservedChars + reReservedChars) + ")?";
+    } else if (assignment) {
+        const key = query ? charsPattern(reUnreservedChars + queryChars) :
+            exploded ? charsPattern(reUnreservedChars) :
+            "(?:" + variables.map(x => literalPattern(x.name)).join('|') + ")";
+        item = key + "(?:=" + charsPattern(reUnreservedChars + (query ? queryChars + "=" : ",")) + ")?";
+    } else {
+        const chars = reUnreservedChars + "," + (exploded ? "=" : "");
+        if (seperator === "," || seperator === ".") return "(?:" + prefix + charsPattern(chars) + ")?";
+        item = charsPattern(chars);
+    }
+
+    const sep = escapeRegExp(seperator);
+    return "(?:" + prefix + item + "(?:" + sep + item + ")" + repeat + ")?";
+}
+
+/* the literals and expressions of the template, one capturing group per expression */
+function matchingSource({ pieces, literals }) {
+    return literals.map(function (literal, i) {
+        return (i ? "(" + pieces[i - 1].pattern + ")" : "") + literal;
+    }).join('');
+}
+
+/**
+ * Explains why str does not match the template. The template is matched
+ * one literal at a time. The first literal that can not follow what matched
+ * so far is either missing, where the expression in front of it ends, or
+ * the expression in front of it does not have the right shape.
+ */
+function matchError(str, { pieces, glues, literals, ambiguous }) {
+    const compile = source => ambiguous ? new LinearRegExp(source) : new RegExp(source);
+
+    let source = "^" + literals[0] + (pieces.length ? "" : "$");
+    if (!compile(source).test(str)) return literalError(glues[0], 0);
+
+    for (let i = 0; i < pieces.length; i++) {
+        source += "(" + pieces[i].pattern + ")";
+        const match = compile(source).exec(str);
+        const start = match[0].length - match[i + 1].length, stop = match[0].length;
 
-        offsets.push(index);
-        offset = index + glue.length;
+        const literal = literals[i + 1], last = i === pieces.length - 1;
+        source += literal + (last ? "$" : "");
+        if (compile(source).test(str)) continue;
+
+        /* where the literal is last found, or where it would end the string */
+        const found = compile(last ? "(" + literal + ")$" : "^[\\s\\S]*(" + literal + ")").exec(str);
+        const end = !found ? -1 : last ? found.index : found[0].length - found[1].length;
+        if (end < start) return literalError(glues[i + 1], stop);
+        return expressionMismatch(pieces[i], str.substring(start, end), start);
     }
+}
 
-    return offsets
+/* explains why value does not have the shape of the expression */
+function expressionMismatch(piece, value, offset) {
+    try {
+        parseExpression(piece, value, offset, {});
+    } catch (error) {
+        if (error instanceof UriTemplateMatchError) return error;
+        throw error;
+    }
+    return expressionError(piece.source, "unexpected '" + value + "'", offset);
 }
 
 
-function getValuePart(str, pieceIndex, glues, offsets) {
-    const offsetBegin = offsets[pieceIndex] + glues[pieceIndex].length;
-    const offsetEnd = offsets[pieceIndex + 1];
-    const value = str.substring(offsetBegin, offsetEnd);
 
-    return value;
+/**
+ * The serializer registry. A serializer turns values of a type into what a
+ * template expands, and back:
+ *
+ *   - parse turns a decoded string into a value of the type, stringify
+ *     turns a value of the type back into a string. Lists and maps are
+ *     converted item by item.
+ *   - or deserialize turns a whole parsed value, a string, list or map,
+ *     into a value of the type, and serialize turns it back.
+ *
+ * They return undefined for a value that is not of the type. Named
+ * serializers are types for the `variables` option. stringify serializes
+ * the values of variables without a type with the first serializer whose
+ * test accepts them, inside lists and maps too.
+ *
+ * Serializers given to a template are tried before those added with
+ * addSerializer, which are tried before these.
+ */
+const serializers = [
+    {
+        name: 'integer',
+        parse: x => /^-?[0-9]+$/.test(x) && Number.isSafeInteger(Number(x)) ? Number(x) : undefined,
+        stringify: x => Number.isSafeInteger(x) ? String(x) : undefined
+    },
+    {
+        name: 'number',
+        parse: x => /^-?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:e[+-]?[0-9]+)?$/i.test(x) ? Number(x) : undefined,
+        stringify: x => Number.isFinite(x) ? String(x) : undefined
+    },
+    {
+        name: 'boolean',
+        parse: x => x === 'true' ? true : x === 'false' ? false : undefined,
+        stringify: x => typeof x === 'boolean' ? String(x) : undefined
+    },
+    {
+        name: 'date',
+        parse: x => /^[0-9]{4}-[0-9]{2}-[0-9]{2}$/.test(x) && formatDate(new Date(x)) === x ? new Date(x) : undefined,
+        stringify: formatDate
+    },
+    {
+        name: 'date-time',
+        test: x => x instanceof Date,
+        parse: x => /^[0-9]{4}-[0-9]{2}-[0-9]{2}T[0-9]{2}:[0-9]{2}(?::[0-9]{2}(?:\.[0-9]+)?)?(?:Z|[+-][0-9]{2}:[0-9]{2})$/i.test(x) &&
+            !isNaN(Date.parse(x)) ? new Date(x) : undefined,
+        stringify: x => isValidDate(x) ? x.toISOString() : undefined
+    },
+    {
+        name: 'bigint',
+        test: x => typeof x === 'bigint',
+        parse: x => /^-?[0-9]+$/.test(x) ? BigInt(x) : undefined,
+        stringify: x => typeof x === 'bigint' ? String(x) : undefined
+    },
+    {
+        name: 'set',
+        test: x => x instanceof Set,
+        deserialize: x => new Set([].concat(x)),
+        serialize: x => x instanceof Set ? Array.from(x) : undefined
+    },
+    {
+        name: 'map',
+        test: x => x instanceof Map,
+        deserialize: x => isPlainObject(x) ? new Map(Object.entries(x)) : pairs(x) && new Map(pairs(x)),
+        serialize: x => x instanceof Map ? Array.from(x).reduce(function (map, [key, value]) {
+            map[key] = value;
+            return map;
+        }, {}) : undefined
+    },
+    {
+        name: 'search-params',
+        test: x => typeof URLSearchParams === 'function' && x instanceof URLSearchParams,
+        deserialize: function (x) {
+            const entries = isPlainObject(x) ? Object.entries(x) : pairs(x);
+            if (!entries) return undefined;
+            const params = new URLSearchParams();
+            entries.forEach(([key, value]) => [].concat(value).forEach(item => params.append(key, item)));
+            return params;
+        },
+        serialize: function (x) {
+            if (!(x instanceof URLSearchParams)) return undefined;
+            const map = {};
+            x.forEach((value, key) => gather(map, key, value));
+            return map;
+        }
+    }
+];
+
+const userSerializers = [];
+
+function isValidDate(value) {
+    return value instanceof Date && !isNaN(value.getTime());
 }
 
+function formatDate(value) {
+    return isValidDate(value) ? value.toISOString().substring(0, 10) : undefined;
+}
 
-function startsWithConsume(string, prefix) {
-    if (!string.startsWith(prefix)) throw new Error(null)
-    return string.slice(prefix.length)
+/* the key value pairs of a map that was not exploded, so it was parsed as a list */
+function pairs(value) {
+    if (!Array.isArray(value) || value.length % 2) return undefined;
+    const result = [];
+    for (let i = 0; i < value.length; i += 2) result.push([value[i], value[i + 1]]);
+    return result;
 }
 
+/* registers a serializer for every template, before those already registered */
+function addSerializer(serializer) {
+    if (!serializer || !(isSerializer(serializer) || isConverter(serializer))) {
+        throw new Error("a serializer needs parse and stringify, or deserialize and serialize functions");
+    }
+    userSerializers.unshift(serializer);
+}
+
+/* the serializers of the template, then those of addSerializer, then the built in ones */
+function registryOf(template) {
+    return (template.serializers || []).concat(userSerializers, serializers);
+}
+
+function removeSerializer(serializer) {
+    const index = userSerializers.indexOf(serializer);
+    if (~index) userSerializers.splice(index, 1);
+}
 
-function UriTemplate(template) {
+function isConverter(type) {
+    return typeof type.parse === 'function' && typeof type.stringify === 'function';
+}
+
+function isSerializer(type) {
+    return typeof type.deserialize === 'function' && typeof type.serialize === 'function';
+}
+
+/**
+ * A type is the name of a serializer, a RegExp the string must match, a
+ * function that coerces the string (returning undefined when it can not)
+ * or a serializer. The resolved type keeps what it was resolved from as
+ * `spec`.
+ */
+function resolveType(type, name, registry) {
+    if (typeof type === 'string') {
+        const serializer = registry.find(x => x.name === type);
+        if (!serializer) throw new Error("unknown type '" + type + "' for '" + name + "'");
+        return Object.assign({ label: type, spec: type }, serializer);
+    }
+    if (type instanceof RegExp) {
+        /* without "g" and "y" a test does not depend on the lastIndex of the one before */
+        const pattern = new RegExp(type.source, type.flags.replace(/[gy]/g, ''));
+        return {
+            label: 'match for ' + type,
+            spec: type,
+            parse: x => pattern.test(x) ? x : undefined,
+            stringify: x => pattern.test(String(x)) ? String(x) : undefined
+        };
+    }
+    if (typeof type === 'function') {
+        return { label: 'value', spec: type, parse: type, stringify: String };
+    }
+    if (type && (isConverter(type) || isSerializer(type))) {
+        return Object.assign({ label: 'value', spec: type }, type);
+    }
+    throw new Error("invalid type for '" + name + "'");
+}
+
+/* applies to every item of a list and every value of a map */
+function mapValues(value, mapper) {
+    if (Array.isArray(value)) return value.map(mapper);
+    if (isPlainObject(value)) {
+        return Object.keys(value).reduce(function (map, key) {
+            map[key] = mapper(value[key]);
+            return map;
+        }, {});
+    }
+    return mapper(value);
+}
+
+/* calls fail with the reason when a value is not of the type */
+function coerceValue(value, type, name, fail) {
+    if (type.deserialize) {
+        const result = type.deserialize(value);
+        if (result === undefined) fail("'" + name + "' is not a valid " + type.label);
+        return result;
+    }
+    return mapValues(value, function (item) {
+        const result = type.parse(item);
+        if (result === undefined) fail("'" + name + "' is not a valid " + type.label);
+        return result;
+    });
+}
+
+/* strings are taken as they are when they parse as the type, values a serializer does not test for as well */
+function serializeValue(value, type, name) {
+    if (type.serialize) {
+        if (value === undefined || value === null || type.test && !type.test(value)) return value;
+        const result = type.serialize(value);
+        if (result === undefined) throw new Error("'" + name + "' is not a valid " + type.label);
+        return result;
+    }
+    return mapValues(value, function (item) {
+        if (item === undefined || item === null) return item;
+        if (typeof item === 'string' && type.parse(item) !== undefined) return item;
+        const result = type.stringify(item);
+        if (result === undefined) throw new Error("'" + name + "' is not a valid " + type.label);
+        return result;
+    });
+}
+
+/**
+ * The value as a string, or a list or map of strings, that can be expanded.
+ * Values the test of a serializer accepts are serialized, also in lists and
+ * maps. Maps in lists keep their order, lists in maps repeat their key when
+ * the map is exploded, but a list or map can not be in one of its own kind.
+ */
+function expandable(value, name, registry, within = []) {
+    const serializer = registry.find(x => x.test && x.test(value));
+    if (serializer) {
+        value = (serializer.serialize || serializer.stringify)(value);
+        if (value === undefined) throw new Error("'" + name + "' is not a valid " + (serializer.name || 'value'));
+    }
+    if (!isComposite(value)) return value;
+
+    const kind = Array.isArray(value) ? 'list' : 'map';
+    if (~within.indexOf(kind)) {
+        throw new Error("'" + name + "' has a " + kind + " in a " + within[within.length - 1] + ", that can not be expanded");
+    }
+    within = within.concat(kind);
+    if (kind === 'list') return value.map(item => expandable(item, name, registry, within));
+    return Object.keys(value).reduce(function (map, key) {
+        map[key] = expandable(value[key], name, registry, within);
+        return map;
+    }, {});
+}
+
+/**
+ * With `{ strict: true }` the template is validated first and the first
+ * UriTemplateSyntaxError is thrown, instead of skipping malformed parts as
+ * literal text.
+ *
+ * `variables` maps variable names to types, see resolveType. parse does not
+ * match when a value is not of its type, and returns the typed value when
+ * it is. stringify turns typed values back into strings. `serializers` are
+ * serializers of the template, see the serializer registry.
+ *
+ * Query parameters the template does not know are skipped by parse, or
+ * collected in an object named by `rest`.
+ */
+function UriTemplate(template, { strict = false, variables = {}, rest, serializers = [] } = {}) {
+    if (strict) {
+        const [error] = validateTemplate(template);
+        if (error) throw error;
+    }
     this.data = preprocessTemplate(template)
-    this.parse = function() {
-        try {
-            return parse.apply(this, arguments);
-        } catch (error) {
-            return false;
+    this.serializers = serializers;
+    const registry = registryOf(this);
+    this.types = Object.keys(variables).reduce(function (types, name) {
+        types[name] = resolveType(variables[name], name, registry);
+        return types;
+    }, {});
+    this.rest = rest;
+}
+
+const cache = new LruCache({ size: 500 });
+
+/**
+ * The UriTemplate of the template, from a cache of the most recently
+ * compiled templates, so a template that is used over and over is only
+ * preprocessed once. Every caller gets the same instance. Templates with
+ * options are not cached, create them with new.
+ */
+function compile(template) {
+    return cache.get(template) || cache.set(template, new UriTemplate(template));
+}
+
+/* { size, stats }, the number of templates compile keeps and whether it counts hits and misses */
+function configureCache(options) {
+    cache.configure(options);
+}
+
+/* { size, maxSize, hits, misses, evictions } of the compile cache */
+function cacheStats() {
+    return cache.stats();
+}
+
+function clearCache() {
+    cache.clear();
+}
+
+/**
+ * Expands the variables that are defined in data and keeps the others as
+ * expressions, in a new UriTemplate. Undefined variables of a "?"
+ * expression move to a "&" expression after the defined ones. The "", "+"
+ * and "#" operators separate their values with a "," that can not be
+ * expressed in a template, so their expressions are kept as they are when
+ * only some variables are defined, and the new template remembers the
+ * defined values for stringify.
+ */
+function expandPartial(data = {}) {
+    const template = this, bound = Object.assign({}, this.bound);
+    data = Object.assign({}, this.bound, data);
+    const isKnown = ({ name }) => isDefined(data[name]);
+    const expand = (operator, variables) => stringify.call({
+        data: { pieces: [{ operator, variables }], expandedGlues: ['', ''] },
+        types: template.types,
+        serializers: template.serializers
+    }, data);
+
+    const { pieces, glues } = this.data;
+    const source = glues[0] + pieces.map(function ({ operator, variables, source }, i) {
+        return expandPiece(operator, variables, source) + glues[i + 1];
+    }).join('');
+
+    const result = new UriTemplate(source, { variables: this.types, rest: this.rest, serializers: this.serializers });
+    result.bound = bound;
+    return result;
+
+    function expandPiece(operator, variables, source) {
+        const known = variables.filter(isKnown);
+        if (known.length === 0) return source;
+        if (known.length === variables.length) return expand(operator, variables);
+
+        const unknown = variables.filter(x => !isKnown(x));
+        switch (operator) {
+            case "?":
+                return expand("?", known) + expression("&", unknown);
+            case "&":
+            case ";":
+            case ".":
+            case "/":
+                /* the separator is the prefix, so every variable can be an expression of its own */
+                return runs(variables).map(function (run) {
+                    return isKnown(run[0]) ? expand(operator, run) : expression(operator, run);
+                }).join('');
+            default:
+                known.forEach(function ({ name }) {
+                    bound[name] = data[name];
+                });
+                return source;
         }
     }
-    this.stringify = stringify;
+
+    /* consecutive variables that are all known or all unknown */
+    function runs(variables) {
+        return variables.reduce(function (runs, variable, i) {
+            if (i && isKnown(variable) === isKnown(variables[i - 1])) runs[runs.length - 1].push(variable);
+            else runs.push([variable]);
+            return runs;
+        }, []);
+    }
 }
 
+function expression(operator, variables) {
+    return "{" + operator + variables.map(function ({ name, maxLength, composite }) {
+        return name + (maxLength ? ":" + maxLength : "") + (composite ? "*" : "");
+    }).join(",") + "}";
+}
+/* noncharacters, they can not occur in a template */
+const PLACEHOLDER_START = "\uFDD0", PLACEHOLDER_END = "\uFDD1";
+const rePlaceholder = /([\/?&#]?)\uFDD0([0-9]+)\uFDD1/g;
 
-function parse (str) {
-    const { pieces, glues } = this.data;
-    const data = {},  offsets = getSegmentsOffsets(str, glues)
-    pieces.forEach(processFrag)
+/**
+ * Resolves the relative template against the base template as RFC 3986
+ * section 5.2 resolves references. Expressions take the part of the URI
+ * their operator expands to: "{/x}" is a path segment, "{?x}" and "{&x}"
+ * are query, "{#x}" is the fragment and the other operators are part of the
+ * segment they are in. Both arguments are strings or UriTemplates, the
+ * types of their variables carry over to the result.
+ */
+function join(base, relative) {
+    const templates = [base, relative].map(x => x instanceof UriTemplate ? x : compile(x));
+    const pieces = [];
+
+    const [b, r] = templates.map(function ({ data }) {
+        return data.glues[0] + data.pieces.map(function (piece, i) {
+            const placeholder = PLACEHOLDER_START + pieces.push(piece) + PLACEHOLDER_END;
+            return (isDelimiting(piece.operator) ? piece.operator : "") + placeholder + data.glues[i + 1];
+        }).join("");
+    });
+
+    const source = resolveReference(b, r).replace(rePlaceholder, function (match, delimiter, index) {
+        const { operator, source } = pieces[index - 1];
+        return isDelimiting(operator) ? source : delimiter + source;
+    });
+
+    const [t, u] = templates;
+    return new UriTemplate(source, {
+        variables: Object.assign({}, t.types, u.types),
+        rest: u.rest || t.rest,
+        serializers: u.serializers.concat(t.serializers)
+    });
+}
+
+/* operators whose expansion starts with the delimiter of a part of the URI */
+function isDelimiting(operator) {
+    return ~["/", "?", "&", "#"].indexOf(operator);
+}
+
+/* the lowest level of RFC 6570 that has the operator */
+const OPERATOR_LEVEL = { "": 1, "+": 2, "#": 2, ".": 3, "/": 3, ";": 3, "?": 3, "&": 3 };
+
+Object.defineProperties(UriTemplate.prototype, {
+
+    /* the data of str, or false when it does not match */
+    parse: {
+        value: function (str, { strict = false, partial = false } = {}) {
+            try {
+                return parse.call(this, str, strict, partial);
+            } catch (error) {
+                if (strict) throw error;
+                return false;
+            }
+        }
+    },
+
+    parseOrThrow: {
+        value: function (str, { partial = false } = {}) {
+            return this.parse(str, { strict: true, partial });
+        }
+    },
+
+    /*
+     * the anchored regular expression parse matches like, it has a capturing
+     * group for every expression, adjacent query expressions share one
+     */
+    toRegExp: {
+        value: function () {
+            return new RegExp(this.data.matching.regexp);
+        }
+    },
+
+    stringify: {
+        value: stringify
+    },
+
+    expandPartial: {
+        value: expandPartial
+    },
+
+    resolve: {
+        value: function (relative) {
+            return join(this, relative);
+        }
+    }
+
+});
+
+/**
+ * Introspection of the template. Every call returns new objects, changing
+ * them does not change the template.
+ */
+Object.defineProperties(UriTemplate.prototype, {
+
+    /* the template, as it was given */
+    toString: {
+        value: function () {
+            const { pieces, glues } = this.data;
+            return glues[0] + pieces.map((piece, i) => piece.source + glues[i + 1]).join('');
+        }
+    },
+
+    /* { source, operator, variables } for every expression, in order */
+    expressions: {
+        get() {
+            return this.data.pieces.map(function ({ operator, variables, source }) {
+                return {
+                    source,
+                    operator,
+                    variables: variables.map(function ({ name, maxLength, composite }) {
+                        return { name, operator, maxLength: maxLength || undefined, explode: composite };
+                    })
+                };
+            });
+        }
+    },
+
+    /* { name, operator, maxLength, explode } for every variable of every expression */
+    variables: {
+        get() {
+            return [].concat(...this.expressions.map(x => x.variables));
+        }
+    },
+
+    /* the literal text between the expressions, empty literals left out */
+    literals: {
+        get() {
+            return this.data.glues.filter(x => x.length);
+        }
+    },
+
+    /* the lowest level of RFC 6570 that supports every expression */
+    level: {
+        get() {
+            return this.data.pieces.reduce(function (level, { operator, variables }) {
+                if (variables.some(x => x.maxLength || x.composite)) return 4;
+                return Math.max(level, variables.length > 1 ? 3 : OPERATOR_LEVEL[operator]);
+            }, 1);
+        }
+    }
+
+});
+
+
+/**
+ * A prefix variable can not be longer than its prefix. With partial, its
+ * value is { value, truncated }, where truncated tells that the value is as
+ * long as the prefix and so may have been cut off. Variables that are also
+ * expanded without a prefix have their whole value and are not annotated.
+ * The prefixes and the whole value of a variable must agree, or the string
+ * does not match.
+ */
+function parse (str, strict, partial) {
+    const { pieces, matcher } = this.data.matching;
+    const match = matcher.exec(str);
+    if (!match) {
+        if (strict) throw matchError(str, this.data.matching);
+        return false;
+    }
+
+    const data = {}, types = this.types, rest = this.rest, coerced = {}, texts = {};
+    pieces.forEach(function (piece, i) {
+        const offset = match.indices[i + 1][0];
+        const before = Object.assign({}, texts);
+        parseExpression(piece, match[i + 1], offset, data, rest, texts);
+        piece.variables.forEach(function ({ name }) {
+            if (!hasOwn(types, name) || !hasOwn(data, name)) return;
+            /* a value that replaced an earlier one is coerced again */
+            if (hasOwn(coerced, name) && texts[name] === before[name]) return;
+            const fail = reason => { throw expressionError(piece.source, reason, offset); };
+            data[name] = coerceValue(data[name], types[name], name, fail);
+            coerced[name] = true;
+        });
+    });
+
+    if (partial) {
+        Object.keys(texts).forEach(function (name) {
+            const { value, maxLength } = texts[name];
+            if (maxLength === Infinity) return;
+            data[name] = { value: data[name], truncated: Array.from(value).length === maxLength };
+        });
+    }
     return data;
+}
 
-    function processFrag({ operator, variables }, i) {
-        const { prefix, seperator, assignment, assignEmpty } = OPERATIONS[operator];
 
-        let value = getValuePart(str, i, glues, offsets)
-        if (value.length === 0) return true;
+/**
+ * Assigns the variables of one expression from its expanded value, the
+ * inverse of processPart in stringify. Values that contain an unencoded
+ * "," were lists, exploded values come back as arrays or objects.
+ */
+function parseExpression({ operator, variables, source, prefixes, query }, value, offset, data, rest, texts = {}) {
+    const { seperator, assignment, assignEmpty, decode } = OPERATIONS[operator];
+    if (value.length === 0) return data;
 
-        value = startsWithConsume(value, prefix);
-        const values = value.split(seperator);
+    const fail = (reason, at = offset) => expressionError(source, reason, at);
 
-        for (let j in variables) {
-            let name = variables[j].name
-            let val  = values   [j];
-            if (val === undefined) break;
+    const prefix = prefixes.find(x => value.startsWith(x));
+    if (prefix === undefined) throw fail("expected '" + prefixes.join("' or '") + "'");
+    value = value.substring(prefix.length);
+    offset += prefix.length;
 
-            if (assignment) {
-                val = startsWithConsume(val, name)
-                if (val.length === 0 && assignEmpty) throw new Error(null)
-                if (val.length > 0) {
-                    val = startsWithConsume(val, "=")
-                }
+    const items = value.split(seperator).map(function (text) {
+        const item = { text, offset };
+        offset += text.length + seperator.length;
+        return item;
+    });
+
+    if (assignment) {
+        parseNamed();
+    } else {
+        parseUnnamed();
+    }
+    return data;
+
+    function parseUnnamed() {
+        let k = 0;
+        variables.forEach(function (variable, j) {
+            const { name, composite } = variable;
+            if (k >= items.length) return;
+
+            const remaining = variables.length - j - 1;
+            const count = composite || !remaining ? Math.max(1, items.length - k - remaining) : 1;
+            const taken = items.slice(k, k + count);
+            k += count;
+
+            data[name] = composite ?
+                parseExploded(taken) :
+                parseValue(taken.map(x => x.text).join(seperator), taken[0].offset, variable);
+        });
+    }
+
+    /**
+     * Items are assigned by name, so their order does not matter. Names are
+     * compared decoded, so "user%2Did" is "user-id" and "%24top" is "$top",
+     * a key is split off its item already. Repeated names
+     * are gathered in a list. Unknown names in a query are skipped, or
+     * collected in the rest variable.
+     */
+    function parseNamed() {
+        const keys = items.map(({ text }) => keyOf(text));
+        const normalKeys = keys.map(decodedName);
+        const named = variables.map(x => decodedName(x.name));
+        const map = variables.find((x, j) => x.composite && !~normalKeys.indexOf(named[j]));
+        const exploded = {}, assigned = [];
+
+        items.forEach(function ({ text, offset }, k) {
+            const key = keys[k];
+            const variable = variables[named.indexOf(normalKeys[k])] || map;
+            if (!variable) {
+                if (!query) throw fail("unexpected '" + key + "'", offset);
+                if (rest) gather(data[rest] = data[rest] || {}, decodeAt(key, offset), decodeAt(valueOf(text), offset));
+                return;
+            }
+
+            const { name, composite } = variable;
+            if (variable === map) {
+                exploded[name] = exploded[name] || {};
+                gather(exploded[name], decodeAt(key, offset), decodeAt(valueOf(text), offset));
+            } else if (composite) {
+                exploded[name] = exploded[name] || [];
+                exploded[name].push(decodeAt(valueOf(text), offset));
+            } else {
+                if (assignEmpty && !~text.indexOf('=')) throw fail("expected '=' after '" + name + "'", offset + key.length);
+                const value = parseValue(valueOf(text), offset + key.length + 1, variable);
+                data[name] = ~assigned.indexOf(name) ? [].concat(data[name], value) : value;
+                assigned.push(name);
             }
-            data[name] = decodeURIComponent(val);
+        });
+
+        Object.assign(data, exploded);
+    }
+
+    /* lists of unencoded items when there is no "=" in any of them */
+    function parseExploded(taken) {
+        if (taken.every(({ text }) => !~text.indexOf('='))) {
+            return taken.map(({ text, offset }) => decodeAt(text, offset));
         }
+        if (!~taken[0].text.indexOf('=')) throw fail("cannot mix list and map items", taken[0].offset);
+
+        /* the separator itself may be an unencoded part of a value */
+        const merged = [];
+        taken.forEach(function (item) {
+            if (~item.text.indexOf('=')) return merged.push(item);
+            const previous = merged[merged.length - 1];
+            merged[merged.length - 1] = { text: previous.text + seperator + item.text, offset: previous.offset };
+        });
+        return parseMap(merged);
+    }
+
+    function parseMap(taken) {
+        return taken.reduce(function (map, { text, offset }) {
+            setOwn(map, decodeAt(keyOf(text), offset), decodeAt(valueOf(text), offset));
+            return map;
+        }, {});
     }
+
+    /**
+     * The decoded value of a variable. texts keeps the string each variable
+     * was last parsed from, with the length of its prefix or Infinity, so
+     * the prefixes and the whole value of a variable can be checked against
+     * each other.
+     */
+    function parseValue(text, offset, { name, maxLength }) {
+        if (maxLength) return parsePrefix(text, offset, name, maxLength);
+        const value = ~text.indexOf(',') ? text.split(',').map(part => decodeAt(part, offset)) : decodeAt(text, offset);
+        const known = texts[name];
+        if (known && known.maxLength !== Infinity && !startsWith(value, known.value, known.maxLength)) {
+            throw fail("'" + name + "' does not start with its prefix '" + known.value + "'", offset);
+        }
+        texts[name] = { value, maxLength: Infinity };
+        return value;
+    }
+
+    /* a prefix of a string, so never a list, the longest known value wins */
+    function parsePrefix(text, offset, name, maxLength) {
+        const value = decodeAt(text, offset);
+        if (Array.from(value).length > maxLength) throw fail("'" + name + "' is longer than its prefix of " + maxLength, offset);
+
+        const known = texts[name];
+        if (!known) {
+            texts[name] = { value, maxLength };
+            return value;
+        }
+        const consistent = known.maxLength > maxLength ?
+            startsWith(known.value, value, maxLength) :
+            startsWith(value, known.value, known.maxLength);
+        if (!consistent) throw fail("'" + name + "' does not start like its other expansion '" + known.value + "'", offset);
+        if (known.maxLength >= maxLength) return data[name];
+        texts[name] = { value, maxLength };
+        return value;
+    }
+
+    function decodeAt(text, offset) {
+        try {
+            return decode(text);
+        } catch (error) {
+            if (error instanceof URIError) throw fail("malformed percent-encoding", offset);
+            throw error;
+        }
+    }
+
+}
+
+/* whether the string value starts with prefix, as the prefix modifier of maxLength would cut it off */
+function startsWith(value, prefix, maxLength) {
+    return typeof value === 'string' && Array.from(value).slice(0, maxLength).join('') === prefix;
+}
+
+function gather(target, key, value) {
+    setOwn(target, key, hasOwn(target, key) ? [].concat(target[key], value) : value);
+}
+
+/* keys come from the url, so keys like "constructor" or "__proto__" must not reach Object.prototype */
+function hasOwn(target, key) {
+    return Object.prototype.hasOwnProperty.call(target, key);
+}
+
+function setOwn(target, key, value) {
+    Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/* the name percent-decoded, as it is when the encoding is malformed */
+function decodedName(name) {
+    try {
+        return percentDecode(name);
+    } catch (error) {
+        return name;
+    }
+}
+
+function keyOf(item) {
+    const index = item.indexOf('=');
+    return index === -1 ? item : item.substring(0, index);
+}
+
+function valueOf(item) {
+    const index = item.indexOf('=');
+    return index === -1 ? '' : item.substring(index + 1);
 }
 
 
 
 function stringify(data = {}) {
-    const { pieces, glues } = this.data;
+    const { pieces, expandedGlues: glues } = this.data;
+    const types = this.types;
+    const registry = registryOf(this);
+
+    data = Object.assign({}, this.bound, data);
+    Object.keys(types).forEach(function (name) {
+        data[name] = serializeValue(data[name], types[name], name);
+    });
     return glues[0] + pieces.map((x,i) => processPart(x) + glues[i+1]).join("");
 
     function processPart({ operator, variables }) {
@@ -202,7 +1391,10 @@ function stringify(data = {}) {
     }
 
     function procVariable ({ name, composite, maxLength }, o) {
-        var prop = data[name];
+        var prop = expandable(data[name], name, registry);
+        if (maxLength && isComposite(prop)) {
+            throw new Error("prefix modifier cannot be applied to the composite value of '" + name + "'");
+        }
         if (!Array.isArray(prop)) prop = [prop];
         prop = prop.filter(isDefined);
         if (isUndefined(prop)) return null;
@@ -216,18 +1408,25 @@ function stringify(data = {}) {
         
         function mapper (value) {
             if (typeof value !== 'object') {
-                return processValue(value, name, o);
+                return processValue(processVal(value, maxLength, o.encode), name, o);
             }
-            const mapper = ([key, val]) => key + '=' + processVal(val, maxLength, o.encode);
-            return Object.entries(value).map(mapper).join(o.seperator);
+            const mapper = o.assignment ?
+                ([key, val]) => processValue(processVal(val, maxLength, o.encode), o.encode(key), o) :
+                ([key, val]) => o.encode(key) + '=' + processVal(val, maxLength, o.encode);
+            /* a list in a map repeats its key */
+            const entries = [].concat(...definedEntries(value).map(([key, val]) => [].concat(val).filter(isDefined).map(x => [key, x])));
+            return entries.map(mapper).join(o.seperator);
         }
 
         function compositemapper(value) {
             if (typeof value !== 'object') {
                 return processVal(value, maxLength, o.encode);
             }
-            const mapper = ([key, val]) => key + ',' + processVal(val, maxLength, o.encode);
-            return Object.entries(value).map(mapper).join(',');
+            const mapper = function ([key, val]) {
+                if (Array.isArray(val)) throw new Error("'" + name + "' has a list in a map, that only expands exploded");
+                return o.encode(key) + ',' + processVal(val, maxLength, o.encode);
+            };
+            return definedEntries(value).map(mapper).join(',');
         }
         
     }
@@ -235,9 +1434,17 @@ function stringify(data = {}) {
 };
 
 
+function isComposite(value) {
+    return typeof value === 'object' && value !== null;
+}
 
+function definedEntries(value) {
+    return Object.entries(value).filter(([, val]) => isDefined(val));
+}
+
+/* the prefix counts characters, not UTF-16 code units, and is taken before encoding */
 function processVal(value, maxLength, encode) {
-    if (maxLength) value = value.substring(0, maxLength);
+    if (maxLength) value = Array.from(String(value)).slice(0, maxLength).join('');
     return encode(value);
 }
 
@@ -250,24 +1457,17 @@ function processValue(value, name, options) {
 
 module.exports = UriTemplate
 
-class Router {
-
-    constructor() {
-        this.routes = [];
-    }
-
-    add(template, handler) {
-        const compiled = new UriTemplate(template)
-        this.routes.push({ template: compiled, handler }); //
-    }
-
-    handle(url) {
-        return this.routes.some(function (route) {
-            var data = route.template.parse(url);
-            return data && route.handler(data) !== false;
-        });
-    }
-
-}
-
-Object.assign(UriTemplate, {UriTemplate, Router})
+Object.assign(UriTemplate, {
+    UriTemplate,
+    compile,
+    configureCache,
+    cacheStats,
+    clearCache,
+    normalize,
+    addSerializer,
+    removeSerializer,
+    join,
+    UriTemplateMatchError,
+    UriTemplateSyntaxError,
+    validate: validateTemplate
+})
@@ -0,0 +1,14 @@
+import rfc6570 from './main.js';
+import UriTemplateClass from './UriTemplate.js';
+import RouterClass from './Router.js';
+
+export import UriTemplate = UriTemplateClass;
+export import Router = RouterClass;
+
+export declare const UriTemplateMatchError: typeof UriTemplateClass.UriTemplateMatchError;
+export declare const UriTemplateSyntaxError: typeof UriTemplateClass.UriTemplateSyntaxError;
+export declare const compile: typeof UriTemplateClass.compile;
+export declare const join: typeof UriTemplateClass.join;
+export declare const validate: typeof UriTemplateClass.validate;
+
+export default rfc6570;
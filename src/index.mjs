@@ -0,0 +1,18 @@
+/*
+ * The ES module entry. It wraps the CommonJS module, so both entries share
+ * the same classes and instanceof works across them.
+ */
+
+import rfc6570 from './main.js';
+
+export const {
+    UriTemplate,
+    UriTemplateMatchError,
+    UriTemplateSyntaxError,
+    Router,
+    compile,
+    join,
+    validate
+} = rfc6570;
+
+export default rfc6570;
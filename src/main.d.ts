@@ -0,0 +1,8 @@
+import UriTemplate = require('./UriTemplate');
+import RouterClass = require('./Router');
+
+declare const rfc6570: typeof UriTemplate & {
+    Router: typeof RouterClass;
+};
+
+export = rfc6570;
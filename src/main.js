@@ -1,3 +1,6 @@
 /* jshint node:true */
 
-module.exports = require('./UriTemplate')
\ No newline at end of file
+var UriTemplate = require('./UriTemplate');
+var Router = require('./Router');
+
+module.exports = Object.assign(UriTemplate, { Router });
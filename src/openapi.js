@@ -0,0 +1,307 @@
+/* jshint node:true */
+
+/*
+ * Converts route tables to and from OpenAPI 3 documents.
+ * https://spec.openapis.org/oas/v3.0.3#paths-object
+ *
+ * Expressions in the path of a template are path parameters, "?" and "&"
+ * expressions are query parameters. The style of a parameter follows from
+ * the operator: "." is label, ";" is matrix, "?" and "&" are form and the
+ * others are simple. Templates that expand in a way no style describes,
+ * with "+", "#" or exploded "/" expressions, or with a literal query or
+ * fragment, can not be exported. Every operation keeps its template as
+ * x-uri-template, so exported documents import back into routes with the
+ * same templates.
+ *
+ * Parameter names that are not valid variable names, like "user-id", are
+ * pct-encoded into one, "user%2Did", which is the name of the variable.
+ */
+
+const UriTemplate = require('./UriTemplate');
+const OPERATIONS = require('./operators');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+/* the methods a route for any method is exported with, those Router has shorthands for */
+const ANY_METHOD = ['get', 'post', 'put', 'patch', 'delete'];
+
+/* the schemas of the named types */
+const SCHEMAS = {
+    integer: { type: 'integer' },
+    number: { type: 'number' },
+    boolean: { type: 'boolean' },
+    date: { type: 'string', format: 'date' },
+    'date-time': { type: 'string', format: 'date-time' }
+};
+
+function styleOf(operator) {
+    const { prefix, seperator, assignment } = OPERATIONS[operator];
+    if (assignment) return seperator === '&' ? 'form' : 'matrix';
+    return prefix === '.' ? 'label' : 'simple';
+}
+
+/* 'path' or 'query', undefined for the fragment */
+function locationOf(operator) {
+    const { prefix, seperator } = OPERATIONS[operator];
+    if (prefix === '#') return undefined;
+    return seperator === '&' ? 'query' : 'path';
+}
+
+/* the first operator with the style, "?" rather than "&" and "" rather than "+" */
+function operatorOf(location, style) {
+    return Object.keys(OPERATIONS).find(x => locationOf(x) === location && styleOf(x) === style);
+}
+
+/* a template that OpenAPI can not describe */
+class UnsupportedError extends Error {}
+
+/**
+ * An OpenAPI document of the routes. `parameters` has metadata of variables
+ * by name, like a description or a schema, that is merged into their
+ * parameter objects. Routes for any method are exported for each of
+ * ANY_METHOD, without an operationId. Routes for methods OpenAPI does not
+ * know are left out. Routes with a template OpenAPI can not describe throw,
+ * or are left out with `skipUnsupported`.
+ */
+function exportRoutes(routes, { info = {}, parameters = {}, skipUnsupported = false } = {}) {
+    const paths = {};
+
+    routes.forEach(function (route) {
+        const methods = route.method === '*' ? ANY_METHOD : [route.method.toLowerCase()];
+        let described;
+        try {
+            described = describeTemplate(route.template, parameters);
+        } catch (error) {
+            if (!(error instanceof UnsupportedError)) throw error;
+            if (skipUnsupported) return;
+            throw new Error("route '" + route.method + " " + route.template + "' can not be exported, " + error.message);
+        }
+
+        const { path, params } = described;
+        const item = paths[path] || (paths[path] = {});
+
+        methods.filter(x => ~HTTP_METHODS.indexOf(x) && !item[x]).forEach(function (method) {
+            item[method] = operation(route, params);
+        });
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: Object.assign({ title: 'API', version: '1.0.0' }, info),
+        paths
+    };
+}
+
+function operation(route, parameters) {
+    const result = {};
+    if (route.name !== undefined && route.method !== '*') result.operationId = route.name;
+    if (parameters.length) result.parameters = parameters;
+    result.responses = { default: { description: 'Response' } };
+    result['x-uri-template'] = String(route.template);
+    return result;
+}
+
+/* the path of the template as OpenAPI writes it, and its parameters */
+function describeTemplate(template, metadata) {
+    const { pieces, expandedGlues: glues } = template.data;
+    const params = [];
+    let path = '';
+    let inPath = true;
+
+    glues.forEach(function (glue, i) {
+        let literal = glue;
+        if (inPath) {
+            const end = glue.search(/[?#]/);
+            path += ~end ? glue.substring(0, end) : glue;
+            inPath = !~end;
+            literal = ~end ? glue.substring(end + 1) : '';
+        }
+        if (literal) throw new UnsupportedError("'" + glue + "' is a literal query or fragment, which has no parameter");
+        if (i === pieces.length) return;
+
+        const { operator, variables, source } = pieces[i];
+        const location = locationOf(operator);
+        if (location === undefined) throw new UnsupportedError("'" + source + "' is a fragment, which is not part of a request");
+        if (operator === '+') throw new UnsupportedError("'" + source + "' copies reserved characters, which no style does");
+        if (operator === '/' && variables.some(x => x.composite)) {
+            throw new UnsupportedError("'" + source + "' explodes into path segments, which no style does");
+        }
+        if (location === 'path' && !inPath) throw new UnsupportedError("'" + source + "' is not part of the path");
+
+        if (location === 'path') {
+            path += pathSegment(operator, variables);
+        } else {
+            inPath = false;
+        }
+
+        variables.forEach(function (variable) {
+            const name = parameterName(variable.name);
+            if (params.some(x => x.name === name)) return;
+            params.push(parameter(variable, operator, template.types[variable.name], metadata[name]));
+        });
+    });
+
+    return { path, params };
+}
+
+/* the variables as OpenAPI writes them in a path, those of "/" expressions as segments */
+function pathSegment(operator, variables) {
+    const names = variables.map(x => '{' + parameterName(x.name) + '}');
+    if (operator === '/') return '/' + names.join('/');
+    return names.join(styleOf(operator) === 'simple' ? ',' : '');
+}
+
+function parameter({ name, maxLength, composite }, operator, type, metadata) {
+    const location = locationOf(operator);
+    return Object.assign({
+        name: parameterName(name),
+        in: location,
+        required: location === 'path',
+        style: styleOf(operator),
+        explode: composite,
+        schema: schemaOf(type, maxLength, composite)
+    }, metadata);
+}
+
+/* custom types and serializers can bring their own schema */
+function schemaOf(type, maxLength, composite) {
+    let schema = { type: 'string' };
+    if (type) {
+        const { spec } = type;
+        if (typeof spec === 'string') schema = Object.assign({}, SCHEMAS[spec] || type.schema || schema);
+        else if (spec instanceof RegExp) schema = { type: 'string', pattern: spec.source };
+        else schema = Object.assign({}, spec.schema);
+    }
+    if (maxLength && schema.type === 'string') schema.maxLength = maxLength;
+    return composite ? { type: 'array', items: schema } : schema;
+}
+
+/**
+ * The routes of an OpenAPI document as { name, method, template }, named by
+ * their operationId. The template of an operation is its x-uri-template,
+ * or else the path with the path parameters as expressions of their style
+ * and a "?" expression of the query parameters. Schemas of the parameters
+ * become the types of the variables. Parameters in headers and cookies are
+ * left out.
+ */
+function importRoutes(document) {
+    const routes = [];
+
+    Object.keys(document.paths || {}).forEach(function (path) {
+        const item = resolveRef(document, document.paths[path]);
+
+        HTTP_METHODS.filter(x => item[x]).forEach(function (method) {
+            const operation = item[method];
+            const parameters = mergeParameters(document, item.parameters, operation.parameters);
+            const variables = parameters.reduce(function (variables, { name, schema }) {
+                const type = typeOf(document, schema);
+                if (type !== undefined) variables[variableName(name)] = type;
+                return variables;
+            }, {});
+
+            routes.push({
+                name: operation.operationId,
+                method: method.toUpperCase(),
+                template: new UriTemplate(operation['x-uri-template'] || buildTemplate(document, path, parameters), {
+                    strict: true,
+                    variables
+                })
+            });
+        });
+    });
+
+    return routes;
+}
+
+/* the path and query parameters, those of the operation replace those of the path item */
+function mergeParameters(document, ...lists) {
+    const merged = [];
+
+    lists.forEach(function (list = []) {
+        list.map(x => resolveRef(document, x)).forEach(function (parameter) {
+            const index = merged.findIndex(x => x.name === parameter.name && x.in === parameter.in);
+            if (~index) merged[index] = parameter;
+            else merged.push(parameter);
+        });
+    });
+
+    return merged.filter(x => x.in === 'path' || x.in === 'query');
+}
+
+function buildTemplate(document, path, parameters) {
+    const source = path.replace(/\{([^}]*)\}/g, function (match, name) {
+        return expression(document, 'path', [parameters.find(x => x.in === 'path' && x.name === name) || { name }]);
+    });
+
+    const query = parameters.filter(x => x.in === 'query');
+    return source + (query.length ? expression(document, 'query', query) : '');
+}
+
+/* an expression of parameters that share a location and style */
+function expression(document, location, parameters) {
+    const style = parameters[0].style || (location === 'query' ? 'form' : 'simple');
+    const operator = operatorOf(location, style);
+
+    return '{' + operator + parameters.map(function (parameter) {
+        if ((parameter.style || style) !== style || operator === undefined) {
+            throw new Error("parameter '" + parameter.name + "' in " + location + " has style '" +
+                (parameter.style || style) + "', that no template operator expands to");
+        }
+        return variableName(parameter.name) + (isExploded(document, parameter, style) ? '*' : '');
+    }).join(',') + '}';
+}
+
+/* the parameter name as a variable name, with the characters a variable name can not have pct-encoded */
+function variableName(name) {
+    return name.replace(/[^\w.]/gu, function (ch) {
+        const encoded = encodeURIComponent(ch);
+        return encoded === ch ? '%' + ch.charCodeAt(0).toString(16).toUpperCase() : encoded;
+    }).replace(/^\.|\.(?=\.|$)/g, '%2E');
+}
+
+/* the inverse of variableName */
+function parameterName(name) {
+    if (!~name.indexOf('%')) return name;
+    try {
+        return decodeURIComponent(name);
+    } catch (error) {
+        return name;
+    }
+}
+
+/* explode is true for form and false for the other styles by default, it only matters for lists and maps */
+function isExploded(document, { explode, schema }, style) {
+    schema = resolveRef(document, schema) || {};
+    return (explode === undefined ? style === 'form' : explode) && (schema.type === 'array' || schema.type === 'object');
+}
+
+/* the type of the variable with the schema, undefined for strings */
+function typeOf(document, schema) {
+    schema = resolveRef(document, schema);
+    if (!schema) return undefined;
+    if (schema.type === 'array') return typeOf(document, schema.items);
+
+    const name = Object.keys(SCHEMAS).find(function (name) {
+        const { type, format } = SCHEMAS[name];
+        return type === schema.type && (format === undefined || format === schema.format);
+    });
+    if (name) return name;
+    if (schema.type === 'string' && schema.pattern) return new RegExp(schema.pattern);
+    return undefined;
+}
+
+/* follows $refs within the document */
+function resolveRef(document, object) {
+    while (object && typeof object.$ref === 'string') {
+        const ref = object.$ref;
+        if (!ref.startsWith('#/')) throw new Error("can not resolve '" + ref + "', only references within the document");
+
+        object = ref.substring(2).split('/').reduce(function (target, token) {
+            return target && target[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+        }, document);
+        if (object === undefined) throw new Error("'" + ref + "' does not resolve");
+    }
+    return object;
+}
+
+module.exports = { exportRoutes, importRoutes };
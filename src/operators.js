@@ -0,0 +1,21 @@
+/* jshint node:true */
+
+/*
+ * How each operator of RFC 6570 section 3.2 expands, without the encoding.
+ * "+" and "#" expressions copy reserved characters, the others pct-encode
+ * them. UriTemplate adds the encode and decode functions, openapi.js derives
+ * the style of parameters from it.
+ */
+
+const OPERATORS = Object.freeze({
+    "" : Object.freeze({ prefix: "",  seperator: ",", assignment: false, assignEmpty: false, reserved: false }),
+    "+": Object.freeze({ prefix: "",  seperator: ",", assignment: false, assignEmpty: false, reserved: true  }),
+    "#": Object.freeze({ prefix: "#", seperator: ",", assignment: false, assignEmpty: false, reserved: true  }),
+    ".": Object.freeze({ prefix: ".", seperator: ".", assignment: false, assignEmpty: false, reserved: false }),
+    "/": Object.freeze({ prefix: "/", seperator: "/", assignment: false, assignEmpty: false, reserved: false }),
+    ";": Object.freeze({ prefix: ";", seperator: ";", assignment: true,  assignEmpty: false, reserved: false }),
+    "?": Object.freeze({ prefix: "?", seperator: "&", assignment: true,  assignEmpty: true,  reserved: false }),
+    "&": Object.freeze({ prefix: "&", seperator: "&", assignment: true,  assignEmpty: true,  reserved: false })
+});
+
+module.exports = OPERATORS;
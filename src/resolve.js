@@ -0,0 +1,83 @@
+/* jshint node:true */
+
+/*
+ * Reference resolution as in RFC 3986 section 5.2, on strings.
+ * http://tools.ietf.org/html/rfc3986#section-5.2
+ */
+
+/* http://tools.ietf.org/html/rfc3986#appendix-B */
+const reReference = /^(?:([^:\/?#]+):)?(?:\/\/([^\/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#([\s\S]*))?$/;
+
+function split(reference) {
+    const [, scheme, authority, path, query, fragment] = reReference.exec(reference);
+    return { scheme, authority, path, query, fragment };
+}
+
+function recompose({ scheme, authority, path, query, fragment }) {
+    return (scheme !== undefined ? scheme + ":" : "") +
+        (authority !== undefined ? "//" + authority : "") +
+        path +
+        (query !== undefined ? "?" + query : "") +
+        (fragment !== undefined ? "#" + fragment : "");
+}
+
+/* section 5.2.2 */
+function resolve(base, reference) {
+    const b = split(base), r = split(reference);
+
+    if (r.scheme !== undefined) {
+        return recompose(Object.assign(r, { path: removeDotSegments(r.path) }));
+    }
+    if (r.authority !== undefined) {
+        return recompose(Object.assign(r, { scheme: b.scheme, path: removeDotSegments(r.path) }));
+    }
+
+    const target = { scheme: b.scheme, authority: b.authority, fragment: r.fragment };
+    if (r.path === "") {
+        target.path = b.path;
+        target.query = r.query !== undefined ? r.query : b.query;
+    } else {
+        target.path = removeDotSegments(r.path[0] === "/" ? r.path : merge(b, r.path));
+        target.query = r.query;
+    }
+    return recompose(target);
+}
+
+/* section 5.2.3 */
+function merge(base, path) {
+    if (base.authority !== undefined && base.path === "") return "/" + path;
+    return base.path.substring(0, base.path.lastIndexOf("/") + 1) + path;
+}
+
+/* section 5.2.4 */
+function removeDotSegments(path) {
+    const output = [];
+
+    while (path.length) {
+        if (path.startsWith("../")) {
+            path = path.substring(3);
+        } else if (path.startsWith("./")) {
+            path = path.substring(2);
+        } else if (path.startsWith("/./")) {
+            path = path.substring(2);
+        } else if (path === "/.") {
+            path = "/";
+        } else if (path.startsWith("/../")) {
+            path = path.substring(3);
+            output.pop();
+        } else if (path === "/..") {
+            path = "/";
+            output.pop();
+        } else if (path === "." || path === "..") {
+            path = "";
+        } else {
+            const end = path.indexOf("/", 1);
+            output.push(end === -1 ? path : path.substring(0, end));
+            path = end === -1 ? "" : path.substring(end);
+        }
+    }
+
+    return output.join("");
+}
+
+module.exports = { resolve, removeDotSegments };
@@ -0,0 +1,124 @@
+/* jshint node:true */
+/* global describe, it, before, after */
+
+var assert = require('assert');
+var path = require('path');
+var os = require('os');
+var fs = require('fs');
+var spawnSync = require('child_process').spawnSync;
+
+var bin = path.join(__dirname, '../bin/rfc6570.js');
+
+function run(args, input) {
+    var result = spawnSync(process.execPath, [bin].concat(args), { input: input || '', encoding: 'utf8', timeout: 10000 });
+    return { code: result.status, out: result.stdout, err: result.stderr };
+}
+
+describe('cli', function () {
+    this.timeout(20000);
+
+    var dir = path.join(os.tmpdir(), 'rfc6570-cli-' + process.pid);
+    var dataFile = path.join(dir, 'data.json');
+    var routesFile = path.join(dir, 'routes.json');
+
+    before(function () {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(dataFile, JSON.stringify({ id: 5, q: 'a b' }));
+        fs.writeFileSync(routesFile, JSON.stringify([
+            { name: 'user', method: 'GET', template: '/users/{id}', variables: { id: 'integer' } },
+            { method: 'POST', template: '/users/{name}' },
+            '/{+path}'
+        ]));
+    });
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true });
+    });
+
+    it('should expand a template', function () {
+        var result = run(['expand', '/users/{id}{?q}', '--data', dataFile]);
+        assert.equal(result.code, 0);
+        assert.equal(result.out, '/users/5?q=a%20b\n');
+    });
+
+    it('should match a uri', function () {
+        var result = run(['match', '/users/{id}{?q}', '/users/5?q=x']);
+        assert.equal(result.code, 0);
+        assert.deepEqual(JSON.parse(result.out), { id: '5', q: 'x' });
+    });
+
+    it('should fail when a uri does not match', function () {
+        var result = run(['match', '/users/{id}', '/user/5']);
+        assert.equal(result.code, 1);
+        assert.equal(result.out, '');
+        assert.ok(/literal '\/users\/' does not match at offset 0/.test(result.err));
+    });
+
+    it('should show the route that wins and why', function () {
+        var result = run(['routes', routesFile, '/users/bob', '--method', 'post']);
+        assert.equal(result.code, 0);
+        assert.deepEqual(result.out.split('\n'), [
+            'POST /users/bob',
+            "  1. GET /users/{id} (user) [literals 7, expressions 1, constraint 1]: does not match, " +
+                "expression '{id}' does not match: 'id' is not a valid integer at offset 7",
+            '  2. POST /users/{name} [literals 7, expressions 1, constraint 1]: wins with {"name":"bob"}',
+            '  3. * /{+path} [literals 1, expressions 1, constraint 0]: not tried',
+            'POST /users/{name} {"name":"bob"}',
+            ''
+        ]);
+    });
+
+    it('should fail when no route wins', function () {
+        var result = run(['routes', routesFile, 'users', '--method', 'DELETE']);
+        assert.equal(result.code, 1);
+        assert.ok(/404\n$/.test(result.out));
+    });
+
+    it('should expand lines from stdin', function () {
+        var result = run(['expand', '--data', dataFile], '/users/{id}{?q} {"id": 3}\n\n{/q}\n');
+        assert.equal(result.code, 0);
+        assert.equal(result.out, '/users/3?q=a%20b\n/a%20b\n');
+    });
+
+    it('should match lines from stdin', function () {
+        var result = run(['match'], '/users/{id} /users/1\n/a/{b} /c/d\n');
+        assert.equal(result.code, 1);
+        assert.equal(result.out, '{"id":"1"}\nfalse\n');
+    });
+
+    it('should route lines from stdin', function () {
+        var result = run(['routes', routesFile], '/users/1\n/users/x POST\n/users/x PUT\n');
+        assert.equal(result.code, 0);
+        assert.equal(result.out, [
+            'GET /users/1 -> GET /users/{id} (user) {"id":1}',
+            'POST /users/x -> POST /users/{name} {"name":"x"}',
+            'PUT /users/x -> * /{+path} {"path":"users/x"}',
+            ''
+        ].join('\n'));
+    });
+
+    it('should report a malformed line from stdin and go on', function () {
+        var result = run(['expand'], '{a} notjson\n{b {"b": 1}\n{c} {"c": 2}\n');
+        assert.equal(result.code, 2);
+        assert.equal(result.out, '2\n');
+        var errors = result.err.split('\n');
+        assert.equal(errors.length, 3);
+        assert.ok(/^invalid JSON in '\{a\} notjson': /.test(errors[0]));
+        assert.equal(errors[1], 'Unterminated expression at line 1, column 1');
+    });
+
+    it('should report syntax errors', function () {
+        var result = run(['expand', '/users/{id']);
+        assert.equal(result.code, 2);
+        assert.ok(/Unterminated expression at line 1, column 8/.test(result.err));
+    });
+
+    it('should report bad input', function () {
+        assert.equal(run(['expand', '{a}', '--data', path.join(dir, 'missing.json')]).code, 2);
+        assert.equal(run(['match', '{a}']).code, 2);
+        assert.equal(run(['routes']).code, 2);
+        assert.equal(run(['frobnicate']).code, 2);
+        assert.ok(/^usage: rfc6570/.test(run(['--help']).out));
+    });
+
+});
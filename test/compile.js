@@ -0,0 +1,116 @@
+/* jshint node:true */
+/* global describe, it, beforeEach, after */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+var LruCache = require('../src/LruCache');
+
+describe('LruCache', function () {
+
+    it('should drop the least recently used entry', function () {
+        var cache = new LruCache({ size: 2 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        assert.equal(cache.get('a'), 1);
+        cache.set('c', 3);
+
+        assert.equal(cache.get('b'), undefined);
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.get('c'), 3);
+        assert.deepEqual(cache.stats(), { size: 2, maxSize: 2, hits: 3, misses: 1, evictions: 1 });
+    });
+
+    it('should evict when it is made smaller', function () {
+        var cache = new LruCache({ size: 3 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.set('c', 3);
+        cache.configure({ size: 1 });
+
+        assert.deepEqual(Array.from(cache.entries.keys()), ['c']);
+        assert.equal(cache.stats().evictions, 2);
+    });
+
+    it('should not count without stats', function () {
+        var cache = new LruCache({ size: 1, stats: false });
+        cache.set('a', 1);
+        cache.get('a');
+        cache.get('b');
+        cache.set('b', 2);
+        assert.deepEqual(cache.stats(), { size: 1, maxSize: 1, hits: 0, misses: 0, evictions: 0 });
+    });
+
+    it('should reject a size that is not a count', function () {
+        assert.throws(() => new LruCache({ size: -1 }), TypeError);
+        assert.throws(() => new LruCache({ size: 1.5 }), TypeError);
+        assert.throws(() => new LruCache({ size: 'many' }), TypeError);
+    });
+
+});
+
+describe('UriTemplate.compile', function () {
+
+    beforeEach(function () {
+        UriTemplate.configureCache({ size: 500, stats: true });
+        UriTemplate.clearCache();
+    });
+
+    after(function () {
+        UriTemplate.configureCache({ size: 500, stats: true });
+        UriTemplate.clearCache();
+    });
+
+    it('should return the same template for the same string', function () {
+        var template = UriTemplate.compile('/users/{id}');
+        assert(template instanceof UriTemplate);
+        assert.strictEqual(UriTemplate.compile('/users/{id}'), template);
+        assert.notStrictEqual(UriTemplate.compile('/users/{id}/'), template);
+        assert.equal(template.stringify({ id: 1 }), '/users/1');
+        assert.deepEqual(template.parse('/users/2'), { id: '2' });
+    });
+
+    it('should count hits and misses', function () {
+        UriTemplate.compile('{a}');
+        UriTemplate.compile('{a}');
+        UriTemplate.compile('{b}');
+        assert.deepEqual(UriTemplate.cacheStats(), { size: 2, maxSize: 500, hits: 1, misses: 2, evictions: 0 });
+    });
+
+    it('should keep at most the configured number of templates', function () {
+        UriTemplate.configureCache({ size: 2 });
+        var a = UriTemplate.compile('{a}');
+        UriTemplate.compile('{b}');
+        UriTemplate.compile('{c}');
+
+        assert.notStrictEqual(UriTemplate.compile('{a}'), a);
+        assert.equal(UriTemplate.cacheStats().size, 2);
+        assert.equal(UriTemplate.cacheStats().evictions, 2);
+    });
+
+    it('should not cache with a size of 0', function () {
+        UriTemplate.configureCache({ size: 0 });
+        assert.notStrictEqual(UriTemplate.compile('{a}'), UriTemplate.compile('{a}'));
+        assert.equal(UriTemplate.cacheStats().size, 0);
+    });
+
+    it('should compile the string arguments of join', function () {
+        var base = UriTemplate.compile('/api/');
+        UriTemplate.join('/api/', '{id}');
+        assert.strictEqual(UriTemplate.compile('/api/'), base);
+        assert.equal(UriTemplate.cacheStats().hits, 2);
+    });
+
+});
+
+describe('UriTemplate methods', function () {
+
+    it('should be shared by every template', function () {
+        var a = new UriTemplate('{a}'), b = new UriTemplate('{b}');
+        ['parse', 'parseOrThrow', 'toRegExp', 'stringify', 'expandPartial', 'resolve'].forEach(function (method) {
+            assert.strictEqual(a[method], b[method], method);
+            assert(!Object.prototype.hasOwnProperty.call(a, method), method);
+        });
+        assert.deepEqual(Object.keys(a), ['data', 'serializers', 'types', 'rest']);
+    });
+
+});
@@ -0,0 +1,75 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var h = require('./h');
+var UriTemplate = require('../src/UriTemplate');
+
+describe('Percent-encoding', function () {
+    var data = {
+        "name": "café",
+        "emoji": "😀",
+        "newline": "a\nb",
+        "bang": "Hello World!",
+        "encoded": "50%25 off",
+        "percent": "100%",
+        "special": "<{\"|\"}>",
+        "path": "/ünï/cödé"
+    };
+
+    describe('UTF-8 code points', function () {
+
+        h.addTest('{name}', 'caf%C3%A9', data, true);
+        h.addTest('{emoji}', '%F0%9F%98%80', data, true);
+        h.addTest('{newline}', 'a%0Ab', data, true);
+        h.addTest('{/name,emoji}', '/caf%C3%A9/%F0%9F%98%80', data, true);
+        h.addTest('{?name}', '?name=caf%C3%A9', data, true);
+        h.addTest('{+name}', 'caf%C3%A9', data, true);
+        h.addTest('{#emoji}', '#%F0%9F%98%80', data, true);
+
+    });
+
+    describe('unreserved set', function () {
+
+        h.addTest('{bang}', 'Hello%20World%21', data, true);
+        h.addTest('{/bang}', '/Hello%20World%21', data, true);
+        h.addTest('{;bang}', ';bang=Hello%20World%21', data, true);
+        h.addTest('{?bang}', '?bang=Hello%20World%21', data, true);
+        h.addTest('{percent}', '100%25', data, true);
+
+    });
+
+    describe('reserved set', function () {
+
+        h.addTest('{+bang}', 'Hello%20World!', data, true);
+        h.addTest('{+encoded}', '50%25%20off', data);
+        h.addTest('{#encoded}', '#50%25%20off', data);
+        h.addTest('{+percent}', '100%25', data, true);
+        h.addTest('{+special}', '%3C%7B%22%7C%22%7D%3E', data, true);
+        h.addTest('{+path}', '/%C3%BCn%C3%AF/c%C3%B6d%C3%A9', data, true);
+
+    });
+
+    it('should replace lone surrogates', function () {
+        var uriTemplate = new UriTemplate('{x}');
+        assert.equal(uriTemplate.stringify({ x: '\ud800' }), '%EF%BF%BD');
+    });
+
+    it('should decode lowercase hex digits', function () {
+        var uriTemplate = new UriTemplate('{x}');
+        assert.deepEqual(uriTemplate.parse('caf%c3%a9'), { x: 'café' });
+    });
+
+    it('should keep octets that are not UTF-8', function () {
+        var uriTemplate = new UriTemplate('{+x}');
+        assert.deepEqual(uriTemplate.parse('%FF%C3%A9%C3'), { x: '%FFé%C3' });
+        assert.deepEqual(uriTemplate.parse('%ED%A0%80'), { x: '%ED%A0%80' });
+        assert.deepEqual(uriTemplate.parse('%C0%AF'), { x: '%C0%AF' });
+    });
+
+    it('should reject a "%" that is not a triplet', function () {
+        var uriTemplate = new UriTemplate('{x}');
+        assert.equal(uriTemplate.parse('100%'), false);
+    });
+
+});
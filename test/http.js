@@ -0,0 +1,156 @@
+/* jshint node:true */
+/* global describe, it, before, after */
+
+var assert = require('assert');
+var http = require('http');
+var Router = require('../src/Router');
+
+describe('Router http adapter', function () {
+    var router = new Router();
+    var server;
+
+    router.get('/users/{id}', function (req, res, params) {
+        res.end('user ' + params.id);
+    });
+    router.post('/users/{id}', function (req, res, params) {
+        res.statusCode = 201;
+        res.end('created ' + params.id);
+    });
+    router.get('/search{?q,page}', function (req, res, params) {
+        res.end(JSON.stringify(params));
+    });
+    router.get('/fail', function () {
+        throw new Error('boom');
+    });
+
+    before(function (done) {
+        server = Router.createServer(router);
+        server.listen(0, '127.0.0.1', done);
+    });
+
+    after(function (done) {
+        server.close(done);
+    });
+
+    function request(method, path) {
+        return new Promise(function (resolve, reject) {
+            var req = http.request({
+                host: '127.0.0.1',
+                port: server.address().port,
+                method: method,
+                path: path
+            }, function (res) {
+                var body = '';
+                res.setEncoding('utf8');
+                res.on('data', function (chunk) {
+                    body += chunk;
+                });
+                res.on('end', function () {
+                    resolve({ status: res.statusCode, headers: res.headers, body: body });
+                });
+            });
+            req.on('error', reject);
+            req.end();
+        });
+    }
+
+    it('should pass req, res and params to handlers', function () {
+        return request('GET', '/users/5').then(function (response) {
+            assert.equal(response.status, 200);
+            assert.equal(response.body, 'user 5');
+        });
+    });
+
+    it('should dispatch on the request method', function () {
+        return request('POST', '/users/5').then(function (response) {
+            assert.equal(response.status, 201);
+            assert.equal(response.body, 'created 5');
+        });
+    });
+
+    it('should parse the query in any order', function () {
+        return request('GET', '/search?page=2&q=uri%20templates').then(function (response) {
+            assert.deepEqual(JSON.parse(response.body), { q: 'uri templates', page: '2' });
+        });
+    });
+
+    it('should answer 404 when no template matches', function () {
+        return request('GET', '/nothing').then(function (response) {
+            assert.equal(response.status, 404);
+        });
+    });
+
+    it('should match templates without a query when the request has one', function () {
+        return request('GET', '/users/5?utm_source=x').then(function (response) {
+            assert.equal(response.status, 200);
+            assert.equal(response.body, 'user 5');
+        });
+    });
+
+    it('should answer HEAD requests with GET routes', function () {
+        return request('HEAD', '/users/5').then(function (response) {
+            assert.equal(response.status, 200);
+            assert.equal(response.body, '');
+        });
+    });
+
+    it('should answer 405 with the allowed methods', function () {
+        return request('DELETE', '/users/5').then(function (response) {
+            assert.equal(response.status, 405);
+            assert.equal(response.headers.allow, 'GET, POST');
+        });
+    });
+
+    it('should answer 500 when a handler throws', function () {
+        return request('GET', '/fail').then(function (response) {
+            assert.equal(response.status, 500);
+        });
+    });
+
+});
+
+describe('Router connect middleware', function () {
+    var router = new Router();
+
+    router.get('/a/{b}', function (req, res, params) {
+        res.params = params;
+        res.end();
+    });
+    router.get('/fail', function () {
+        throw new Error('boom');
+    });
+
+    function call(method, url) {
+        return new Promise(function (resolve) {
+            var res = {
+                end: function () {
+                    resolve({ res: res });
+                }
+            };
+            router.middleware()({ method: method, url: url }, res, function (error) {
+                resolve({ next: true, error: error });
+            });
+        });
+    }
+
+    it('should handle matching requests', function () {
+        return call('GET', '/a/1').then(function (result) {
+            assert.deepEqual(result.res.params, { b: '1' });
+        });
+    });
+
+    it('should pass unmatched requests on', function () {
+        return Promise.all([call('GET', '/x'), call('POST', '/a/1')]).then(function (results) {
+            assert.ok(results[0].next);
+            assert.ok(results[1].next);
+            assert.equal(results[1].error, undefined);
+        });
+    });
+
+    it('should pass errors on', function () {
+        return call('GET', '/fail').then(function (result) {
+            assert.equal(result.error.message, 'boom');
+        });
+    });
+
+});
@@ -0,0 +1,62 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+
+describe('introspection', function () {
+    var uriTemplate = new UriTemplate('/users/{id}{?tab,page}{/path*}{.fmt:3}');
+
+    it('should list the expressions', function () {
+        assert.deepEqual(uriTemplate.expressions.map(function (x) {
+            return [x.source, x.operator, x.variables.length];
+        }), [
+            ['{id}', '', 1],
+            ['{?tab,page}', '?', 2],
+            ['{/path*}', '/', 1],
+            ['{.fmt:3}', '.', 1]
+        ]);
+    });
+
+    it('should list the variables', function () {
+        assert.deepEqual(uriTemplate.variables, [
+            { name: 'id', operator: '', maxLength: undefined, explode: false },
+            { name: 'tab', operator: '?', maxLength: undefined, explode: false },
+            { name: 'page', operator: '?', maxLength: undefined, explode: false },
+            { name: 'path', operator: '/', maxLength: undefined, explode: true },
+            { name: 'fmt', operator: '.', maxLength: 3, explode: false }
+        ]);
+    });
+
+    it('should list every occurrence of a variable', function () {
+        var names = new UriTemplate('{a}/{a}{?a}').variables.map(function (x) {
+            return x.name + x.operator;
+        });
+        assert.deepEqual(names, ['a', 'a', 'a?']);
+    });
+
+    it('should list the literals', function () {
+        assert.deepEqual(uriTemplate.literals, ['/users/']);
+        assert.deepEqual(new UriTemplate('a{b}c{d}{e}').literals, ['a', 'c']);
+        assert.deepEqual(new UriTemplate('/static').literals, ['/static']);
+    });
+
+    it('should find the lowest level', function () {
+        assert.equal(new UriTemplate('/static').level, 1);
+        assert.equal(new UriTemplate('/a/{b}/{c}').level, 1);
+        assert.equal(new UriTemplate('/a/{+b}{#c}').level, 2);
+        assert.equal(new UriTemplate('/a/{b,c}').level, 3);
+        assert.equal(new UriTemplate('/a{/b}{?c}').level, 3);
+        assert.equal(new UriTemplate('/a/{b:2}').level, 4);
+        assert.equal(uriTemplate.level, 4);
+    });
+
+    it('should not expose the internal data', function () {
+        var template = new UriTemplate('/{a}');
+        template.variables[0].name = 'b';
+        template.expressions[0].variables.pop();
+        assert.equal(template.stringify({ a: 1 }), '/1');
+        assert.equal(template.variables[0].name, 'a');
+    });
+
+});
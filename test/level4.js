@@ -21,9 +21,9 @@ describe('Level 4', function () {
         h.addTest('{var:3}', 'val', data);
         h.addTest('{var:30}', 'value', data);
         h.addTest('{list}', 'red,green,blue', data);
-        h.addTest('{list*}', 'red,green,blue', data);
+        h.addTest('{list*}', 'red,green,blue', data, true);
         h.addTest('{keys}', 'semi,%3B,dot,.,comma,%2C', data);
-        h.addTest('{keys*}', 'semi=%3B,dot=.,comma=%2C', data);
+        h.addTest('{keys*}', 'semi=%3B,dot=.,comma=%2C', data, true);
 
     });
 
@@ -31,7 +31,7 @@ describe('Level 4', function () {
 
         h.addTest('{+path:6}/here', '/foo/b/here', data);
         h.addTest('{+list}', 'red,green,blue', data);
-        h.addTest('{+list*}', 'red,green,blue', data);
+        h.addTest('{+list*}', 'red,green,blue', data, true);
         h.addTest('{+keys}', 'semi,;,dot,.,comma,,', data);
         h.addTest('{+keys*}', 'semi=;,dot=.,comma=,', data);
 
@@ -41,7 +41,7 @@ describe('Level 4', function () {
 
         h.addTest('{#path:6}/here', '#/foo/b/here', data);
         h.addTest('{#list}', '#red,green,blue', data);
-        h.addTest('{#list*}', '#red,green,blue', data);
+        h.addTest('{#list*}', '#red,green,blue', data, true);
         h.addTest('{#keys}', '#semi,;,dot,.,comma,,', data);
         h.addTest('{#keys*}', '#semi=;,dot=.,comma=,', data);
 
@@ -51,7 +51,7 @@ describe('Level 4', function () {
 
         h.addTest('X{.var:3}', 'X.val', data);
         h.addTest('X{.list}', 'X.red,green,blue', data);
-        h.addTest('X{.list*}', 'X.red.green.blue', data);
+        h.addTest('X{.list*}', 'X.red.green.blue', data, true);
         h.addTest('X{.keys}', 'X.semi,%3B,dot,.,comma,%2C', data);
         h.addTest('X{.keys*}', 'X.semi=%3B.dot=..comma=%2C', data);
 
@@ -61,10 +61,10 @@ describe('Level 4', function () {
 
         h.addTest('{/var:1,var}', '/v/value', data);
         h.addTest('{/list}', '/red,green,blue', data);
-        h.addTest('{/list*}', '/red/green/blue', data);
+        h.addTest('{/list*}', '/red/green/blue', data, true);
         h.addTest('{/list*,path:4}', '/red/green/blue/%2Ffoo', data);
         h.addTest('{/keys}', '/semi,%3B,dot,.,comma,%2C', data);
-        h.addTest('{/keys*}', '/semi=%3B/dot=./comma=%2C', data);
+        h.addTest('{/keys*}', '/semi=%3B/dot=./comma=%2C', data, true);
 
     });
 
@@ -72,9 +72,9 @@ describe('Level 4', function () {
 
         h.addTest('{;hello:5}', ';hello=Hello', data);
         h.addTest('{;list}', ';list=red,green,blue', data);
-        h.addTest('{;list*}', ';list=red;list=green;list=blue', data);
+        h.addTest('{;list*}', ';list=red;list=green;list=blue', data, true);
         h.addTest('{;keys}', ';keys=semi,%3B,dot,.,comma,%2C', data);
-        h.addTest('{;keys*}', ';semi=%3B;dot=.;comma=%2C', data);
+        h.addTest('{;keys*}', ';semi=%3B;dot=.;comma=%2C', data, true);
 
     });
 
@@ -82,9 +82,9 @@ describe('Level 4', function () {
 
         h.addTest('{?var:3}', '?var=val', data);
         h.addTest('{?list}', '?list=red,green,blue', data);
-        h.addTest('{?list*}', '?list=red&list=green&list=blue', data);
+        h.addTest('{?list*}', '?list=red&list=green&list=blue', data, true);
         h.addTest('{?keys}', '?keys=semi,%3B,dot,.,comma,%2C', data);
-        h.addTest('{?keys*}', '?semi=%3B&dot=.&comma=%2C', data);
+        h.addTest('{?keys*}', '?semi=%3B&dot=.&comma=%2C', data, true);
 
     });
 
@@ -92,9 +92,9 @@ describe('Level 4', function () {
 
         h.addTest('{&var:3}', '&var=val', data);
         h.addTest('{&list}', '&list=red,green,blue', data);
-        h.addTest('{&list*}', '&list=red&list=green&list=blue', data);
+        h.addTest('{&list*}', '&list=red&list=green&list=blue', data, true);
         h.addTest('{&keys}', '&keys=semi,%3B,dot,.,comma,%2C', data);
-        h.addTest('{&keys*}', '&semi=%3B&dot=.&comma=%2C', data);
+        h.addTest('{&keys*}', '&semi=%3B&dot=.&comma=%2C', data, true);
 
     });
 
@@ -0,0 +1,82 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+var Router = require('../src/Router');
+
+describe('literals', function () {
+
+    it('should pct-encode characters a URI does not allow on expansion', function () {
+        assert.equal(new UriTemplate('/café/{id} x').stringify({ id: 1 }), '/caf%C3%A9/1%20x');
+        assert.equal(new UriTemplate('/a"b<c>{id}').stringify({ id: 1 }), '/a%22b%3Cc%3E1');
+    });
+
+    it('should copy reserved characters and triplets', function () {
+        assert.equal(new UriTemplate("/a:b@c!$'()*+,;=/{id}").stringify({ id: 1 }), "/a:b@c!$'()*+,;=/1");
+        assert.equal(new UriTemplate('/caf%c3%a9/{id}').stringify({ id: 1 }), '/caf%c3%a9/1');
+        assert.equal(new UriTemplate('/100%/{id}').stringify({ id: 1 }), '/100%25/1');
+    });
+
+    it('should keep the template as it was given', function () {
+        assert.equal(String(new UriTemplate('/café/{id}')), '/café/{id}');
+        assert.deepEqual(new UriTemplate('/café/{id}').literals, ['/café/']);
+    });
+
+    it('should match literals in any equivalent form', function () {
+        var template = new UriTemplate('/café/~user/{id}');
+        ['/caf%C3%A9/~user/1', '/caf%c3%a9/%7Euser/1', '/café/%7euser/1', '/%63af%C3%A9/~user/1'].forEach(function (uri) {
+            assert.deepEqual(template.parse(uri), { id: '1' }, uri);
+        });
+
+        assert.deepEqual(new UriTemplate('/caf%c3%a9/%7Euser/{id}').parse('/café/~user/1'), { id: '1' });
+        assert.deepEqual(new UriTemplate('/a b/{id}').parse('/a%20b/1'), { id: '1' });
+        assert.deepEqual(new UriTemplate('/100%/{id}').parse('/100%25/1'), { id: '1' });
+    });
+
+    it('should not take reserved characters for their triplets', function () {
+        assert.equal(new UriTemplate('/a/b/{id}').parse('/a%2Fb/1'), false);
+        assert.equal(new UriTemplate('/a%2Fb/{id}').parse('/a/b/1'), false);
+        assert.deepEqual(new UriTemplate('/a%2Fb/{id}').parse('/a%2fb/1'), { id: '1' });
+        assert.equal(new UriTemplate('/a%25/{id}').parse('/a%/1'), false);
+    });
+
+    it('should match octets that are not UTF-8 by their triplets', function () {
+        var template = new UriTemplate('/%FF%C3/{id}');
+        assert.deepEqual(template.parse('/%ff%c3/1'), { id: '1' });
+        assert.equal(template.parse('/ÿ/1'), false);
+    });
+
+    it('should report offsets in the string as it was given', function () {
+        var template = new UriTemplate('/café/{id}/x', { variables: { id: 'integer' } });
+        assert.throws(() => template.parseOrThrow('/caf%C3%A9/a/x'), function (error) {
+            assert.equal(error.offset, 11);
+            assert.equal(error.expression, '{id}');
+            return true;
+        });
+        assert.throws(() => template.parseOrThrow('/caf%C3%A9/1/y'), function (error) {
+            assert.equal(error.literal, '/x');
+            assert.equal(error.offset, 12);
+            return true;
+        });
+    });
+
+    it('should normalize as RFC 3986 section 6.2.2', function () {
+        assert.equal(UriTemplate.normalize('/caf%c3%a9/%7e%2f x%'), '/caf%C3%A9/~%2F%20x%25');
+        assert.equal(UriTemplate.normalize('/café'), '/caf%C3%A9');
+    });
+
+    it('should route equivalent urls with the trie matcher', function () {
+        var router = new Router({ matcher: 'trie' }).get('/café/{id}', function () {});
+        return router.handle('/caf%c3%a9/1').then(function (result) {
+            assert.equal(result.status, 200);
+            assert.deepEqual(result.params, { id: '1' });
+        });
+    });
+
+    it('should find routes with equivalent templates unreachable', function () {
+        var router = new Router().get('/café/{a}', function () {}).get('/caf%C3%A9/{b}', function () {});
+        assert.deepEqual(router.unreachable().map(x => String(x.route.template)), ['/caf%C3%A9/{b}']);
+    });
+
+});
@@ -0,0 +1,200 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var Router = require('../src/Router');
+var UriTemplate = require('../src/UriTemplate');
+
+describe('Router OpenAPI', function () {
+
+    describe('toOpenApi', function () {
+
+        it('should export path and query parameters', function () {
+            var router = new Router()
+                .get('user', new UriTemplate('/users/{id}{?fields,tags*}', { variables: { id: 'integer' } }), function () {});
+            var doc = router.toOpenApi({ info: { title: 'Users' }, parameters: { id: { description: 'The id' } } });
+
+            assert.equal(doc.openapi, '3.0.3');
+            assert.deepEqual(doc.info, { title: 'Users', version: '1.0.0' });
+            assert.deepEqual(doc.paths['/users/{id}'].get, {
+                operationId: 'user',
+                parameters: [
+                    { name: 'id', in: 'path', required: true, style: 'simple', explode: false, schema: { type: 'integer' }, description: 'The id' },
+                    { name: 'fields', in: 'query', required: false, style: 'form', explode: false, schema: { type: 'string' } },
+                    { name: 'tags', in: 'query', required: false, style: 'form', explode: true,
+                        schema: { type: 'array', items: { type: 'string' } } }
+                ],
+                responses: { default: { description: 'Response' } },
+                'x-uri-template': '/users/{id}{?fields,tags*}'
+            });
+        });
+
+        it('should derive the style from the operator', function () {
+            var doc = new Router().get('/files{/path}{.ext}{;v}{&page}', function () {}).toOpenApi();
+            var parameters = doc.paths['/files/{path}{ext}{v}'].get.parameters;
+
+            assert.deepEqual(parameters.map(x => [x.name, x.in, x.style]), [
+                ['path', 'path', 'simple'],
+                ['ext', 'path', 'label'],
+                ['v', 'path', 'matrix'],
+                ['page', 'query', 'form']
+            ]);
+        });
+
+        it('should describe types and prefixes in the schema', function () {
+            var template = new UriTemplate('/{day}/{slug:10}/{at}/{hex}', {
+                variables: {
+                    day: 'date',
+                    slug: /^[a-z]+$/,
+                    at: 'date-time',
+                    hex: { parse: x => parseInt(x, 16), stringify: x => x.toString(16), schema: { type: 'string', format: 'hex' } }
+                }
+            });
+            var parameters = new Router().get(template, function () {}).toOpenApi().paths['/{day}/{slug}/{at}/{hex}'].get.parameters;
+
+            assert.deepEqual(parameters.map(x => x.schema), [
+                { type: 'string', format: 'date' },
+                { type: 'string', pattern: '^[a-z]+$', maxLength: 10 },
+                { type: 'string', format: 'date-time' },
+                { type: 'string', format: 'hex' }
+            ]);
+        });
+
+        it('should not export templates that no style describes', function () {
+            [
+                ['/files{/path*}', "'{/path*}' explodes into path segments, which no style does"],
+                ['/a{#section}', "'{#section}' is a fragment, which is not part of a request"],
+                ['/{+rest}', "'{+rest}' copies reserved characters, which no style does"],
+                ['/search?q={q}{&page}', "'/search?q=' is a literal query or fragment, which has no parameter"],
+                ['/search{?q}x{&page}', "'x' is a literal query or fragment, which has no parameter"]
+            ].forEach(function ([template, reason]) {
+                assert.throws(() => new Router().get(template, function () {}).toOpenApi(), function (error) {
+                    assert.equal(error.message, "route 'GET " + template + "' can not be exported, " + reason);
+                    return true;
+                });
+            });
+        });
+
+        it('should leave out templates that no style describes with skipUnsupported', function () {
+            var router = new Router().get('/files{/path*}', function () {}).get('/a{#section}', function () {}).get('/b{/c}', function () {});
+            assert.deepEqual(Object.keys(router.toOpenApi({ skipUnsupported: true }).paths), ['/b/{c}']);
+        });
+
+        it('should export routes for any method for every method', function () {
+            var doc = new Router().add('any', '/a', function () {}).put('/a', function () {}).toOpenApi();
+            assert.deepEqual(Object.keys(doc.paths['/a']), ['get', 'post', 'put', 'patch', 'delete']);
+            assert.equal(doc.paths['/a'].get.operationId, undefined);
+        });
+
+        it('should export mounted routes', function () {
+            var api = new Router().mount('/api/{version}', new Router().get('/users', function () {}));
+            assert.deepEqual(Object.keys(api.toOpenApi().paths), ['/api/{version}/users']);
+        });
+
+    });
+
+    describe('fromOpenApi', function () {
+
+        it('should import an exported document', function () {
+            var router = new Router()
+                .get('user', new UriTemplate('/users/{id}{?tags*}', { variables: { id: 'integer' } }), function () {})
+                .post('/files/{name}{.ext}{;v*}', function () {});
+            var imported = Router.fromOpenApi(JSON.parse(JSON.stringify(router.toOpenApi())));
+
+            assert.deepEqual(imported.routes.map(x => [x.method, x.name, String(x.template)]), [
+                ['GET', 'user', '/users/{id}{?tags*}'],
+                ['POST', undefined, '/files/{name}{.ext}{;v*}']
+            ]);
+            assert.deepEqual(imported.routes[0].template.parse('/users/7?tags=a&tags=b'), { id: 7, tags: ['a', 'b'] });
+        });
+
+        it('should build templates from paths and parameters', function () {
+            var imported = Router.fromOpenApi({
+                openapi: '3.0.3',
+                paths: {
+                    '/users/{id}/file{format}': {
+                        parameters: [
+                            { name: 'id', in: 'path', required: true, schema: { type: 'integer', format: 'int64' } },
+                            { name: 'limit', in: 'query', schema: { type: 'string' } }
+                        ],
+                        get: {
+                            operationId: 'user',
+                            parameters: [
+                                { name: 'format', in: 'path', required: true, style: 'label', schema: { type: 'string' } },
+                                { $ref: '#/components/parameters/limit' },
+                                { name: 'tags', in: 'query', schema: { type: 'array', items: { type: 'string' } } },
+                                { name: 'X-Trace', in: 'header', schema: { type: 'string' } }
+                            ]
+                        }
+                    }
+                },
+                components: {
+                    parameters: {
+                        limit: { name: 'limit', in: 'query', schema: { type: 'integer' } }
+                    }
+                }
+            });
+
+            var template = imported.routes[0].template;
+            assert.equal(String(template), '/users/{id}/file{.format}{?limit,tags*}');
+            assert.deepEqual(template.parse('/users/1/file.json?limit=5&tags=a'), { id: 1, format: 'json', limit: 5, tags: ['a'] });
+            assert.equal(imported.url('user', { id: 2, format: 'xml' }), '/users/2/file.xml');
+        });
+
+        it('should attach handlers by operationId', function () {
+            var calls = [];
+            var router = Router.fromOpenApi({
+                paths: { '/a/{x}': { get: { operationId: 'a' }, post: {} } }
+            }, {
+                handlers: { a: [function (params, next) { calls.push(params.x); return next(); }, function () {}] }
+            });
+
+            return router.handle('/a/1').then(function (result) {
+                assert.equal(result.status, 200);
+                assert.deepEqual(calls, ['1']);
+                return router.handle('/a/1', 'POST');
+            }).then(function (result) {
+                /* an operation without handlers falls through */
+                assert.deepEqual(result, { status: 405, allowed: ['GET'] });
+            });
+        });
+
+        it('should pct-encode names that are not variable names', function () {
+            var router = Router.fromOpenApi({
+                paths: {
+                    '/a/{user-id}': {
+                        get: {
+                            operationId: 'a',
+                            parameters: [
+                                { name: 'user-id', in: 'path', required: true, schema: { type: 'integer' } },
+                                { name: 'page[size]', in: 'query', schema: { type: 'integer' } },
+                                { name: '.x', in: 'query' },
+                                { name: '$filter', in: 'query' }
+                            ]
+                        }
+                    }
+                }
+            });
+            var template = router.routes[0].template;
+
+            assert.equal(String(template), '/a/{user%2Did}{?page%5Bsize%5D,%2Ex,%24filter}');
+            assert.deepEqual(template.parse('/a/1?page%5bsize%5d=10&$filter=a%20eq%201'), {
+                'user%2Did': 1,
+                'page%5Bsize%5D': 10,
+                '%24filter': 'a eq 1'
+            });
+            assert.deepEqual(router.toOpenApi().paths['/a/{user-id}'].get.parameters.map(x => x.name), ['user-id', 'page[size]', '.x', '$filter']);
+        });
+
+        it('should reject styles no operator expands to', function () {
+            assert.throws(function () {
+                Router.fromOpenApi({ paths: { '/a': { get: { parameters: [{ name: 'q', in: 'query', style: 'deepObject' }] } } } });
+            }, /parameter 'q' in query has style 'deepObject'/);
+            assert.throws(function () {
+                Router.fromOpenApi({ paths: { '/a': { get: { parameters: [{ $ref: 'other.yaml#/q' }] } } } });
+            }, /only references within the document/);
+        });
+
+    });
+
+});
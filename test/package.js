@@ -0,0 +1,105 @@
+/* jshint node:true */
+/* global describe, it, before */
+
+/*
+ * Smoke tests of the entries of the package: CommonJS and ES module through
+ * the exports map, and the UMD bundle as CommonJS, AMD and browser global.
+ */
+
+var assert = require('assert');
+var path = require('path');
+var os = require('os');
+var fs = require('fs');
+var vm = require('vm');
+var build = require('../scripts/build');
+
+function smoke(rfc6570) {
+    var template = new rfc6570.UriTemplate('/users/{id}{?tab}');
+    assert.equal(template.stringify({ id: 1, tab: 'a b' }), '/users/1?tab=a%20b');
+    assert.deepEqual(template.parse('/users/1?tab=x'), { id: '1', tab: 'x' });
+
+    var router = new rfc6570.Router();
+    router.get('/users/{id}', function () {});
+    return router.handle('/users/1').then(function (result) {
+        assert.equal(result.status, 200);
+    });
+}
+
+describe('package', function () {
+
+    it('should publish every file the package points to', function () {
+        var pkg = require('../package.json');
+        var exported = Object.keys(pkg.exports).reduce(function (files, key) {
+            var target = pkg.exports[key];
+            return files.concat(typeof target === 'string' ? target : [target.import.default, target.require.default]);
+        }, []);
+        [pkg.main, pkg.module, pkg.types, pkg.unpkg, pkg.bin.rfc6570].concat(exported).forEach(function (file) {
+            var top = path.normalize(file).split(path.sep)[0];
+            assert.ok(top === 'package.json' || ~pkg.files.indexOf(top), file);
+        });
+    });
+
+    it('should require the CommonJS entry', function () {
+        var rfc6570 = require('rfc6570');
+        assert.strictEqual(rfc6570, require('../src/main'));
+        assert.strictEqual(rfc6570.UriTemplate, rfc6570);
+        assert.equal(rfc6570.OPERATIONS, undefined);
+        return smoke(rfc6570);
+    });
+
+    it('should import the ES module entry', function () {
+        return import('rfc6570').then(function (module) {
+            assert.strictEqual(module.default, require('../src/main'));
+            assert.strictEqual(module.UriTemplate, require('../src/UriTemplate'));
+            assert.strictEqual(module.Router, require('../src/Router'));
+            assert.equal(typeof module.UriTemplateMatchError, 'function');
+            assert.equal(typeof module.join, 'function');
+            return smoke(module);
+        });
+    });
+
+    describe('UMD bundle', function () {
+        this.timeout(30000);
+
+        var outfile = path.join(os.tmpdir(), 'rfc6570-' + process.pid, 'rfc6570.min.js');
+        var source;
+
+        before(function () {
+            return build(outfile).then(function () {
+                source = fs.readFileSync(outfile, 'utf8');
+                fs.rmSync(path.dirname(outfile), { recursive: true });
+            });
+        });
+
+        it('should be minified', function () {
+            var sources = ['main', 'UriTemplate', 'Router', 'RouteTrie', 'LinearRegExp', 'resolve'].reduce(function (size, name) {
+                return size + fs.statSync(path.join(__dirname, '../src', name + '.js')).size;
+            }, 0);
+            assert.ok(source.length < sources / 2);
+        });
+
+        it('should load as CommonJS', function () {
+            var module = { exports: {} };
+            vm.runInNewContext(source, { module: module, exports: module.exports });
+            return smoke(module.exports);
+        });
+
+        it('should load as an AMD module', function () {
+            var defined;
+            var define = function (deps, factory) {
+                defined = factory();
+            };
+            define.amd = {};
+            vm.runInNewContext(source, { define: define });
+            return smoke(defined);
+        });
+
+        it('should load as a browser global', function () {
+            var window = { Promise: Promise };
+            window.self = window;
+            vm.runInNewContext(source, window);
+            return smoke(window.rfc6570);
+        });
+    });
+
+});
@@ -0,0 +1,76 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+
+describe('expandPartial', function () {
+
+    function source(uriTemplate) {
+        var glues = uriTemplate.data.glues;
+        return glues[0] + uriTemplate.data.pieces.map(function (piece, i) {
+            return piece.source + glues[i + 1];
+        }).join('');
+    }
+
+    function assertPartial(template, known, expected, rest) {
+        var uriTemplate = new UriTemplate(template);
+        var partial = uriTemplate.expandPartial(known);
+        assert.ok(partial instanceof UriTemplate);
+        assert.equal(source(partial), expected);
+        assert.equal(partial.stringify(rest), uriTemplate.stringify(Object.assign({}, known, rest)));
+    }
+
+    it('should expand the defined variables', function () {
+        assertPartial('/{tenant}/items{/id}', { tenant: 'acme' }, '/acme/items{/id}', { id: 5 });
+        assertPartial('/{tenant}/items{/id}', { tenant: 'a b' }, '/a%20b/items{/id}', {});
+    });
+
+    it('should keep a template without defined variables', function () {
+        assertPartial('/{a}{?b}', {}, '/{a}{?b}', { a: 1, b: 2 });
+        assertPartial('/{a}{?b}', { a: undefined, b: [] }, '/{a}{?b}', { a: 1 });
+    });
+
+    it('should continue a query', function () {
+        assertPartial('{?a,b}', { a: 1 }, '?a=1{&b}', { b: 2 });
+        assertPartial('{?a,b}', { a: 1 }, '?a=1{&b}', {});
+        assertPartial('{?a,b,c}', { b: 2 }, '?b=2{&a,c}', {});
+        assert.equal(new UriTemplate('{?a,b,c}').expandPartial({ b: 2 }).stringify({ a: 1, c: 3 }), '?b=2&a=1&c=3');
+        assertPartial('/x{?a,b}{&c}', { c: 3 }, '/x{?a,b}&c=3', {});
+    });
+
+    it('should split expressions whose separator is their prefix', function () {
+        assertPartial('{;a,b,c}', { a: 1, c: 3 }, ';a=1{;b};c=3', { b: 2 });
+        assertPartial('{/a,b}', { b: 2 }, '{/a}/2', { a: 1 });
+        assertPartial('{.a,b}', { a: 1 }, '.1{.b}', { b: 2 });
+        assertPartial('{&a,b}', { a: 1 }, '&a=1{&b}', {});
+    });
+
+    it('should keep modifiers', function () {
+        assertPartial('{/p*,q:2}', { p: ['a', 'b'] }, '/a/b{/q:2}', { q: 'xyz' });
+    });
+
+    it('should bind the values of comma separated expressions', function () {
+        assertPartial('/{a,b}', { a: 1 }, '/{a,b}', { b: 2 });
+        assertPartial('/{a,b}', { a: 1 }, '/{a,b}', {});
+        assertPartial('{#a,b}', { b: 'x y' }, '{#a,b}', { a: 1 });
+        assertPartial('{+base}{/path}', { base: 'http://example.com/' }, 'http://example.com/{/path}', { path: 'p' });
+    });
+
+    it('should expand bound values once every variable is known', function () {
+        var partial = new UriTemplate('/{a,b}{/c}').expandPartial({ a: 1 }).expandPartial({ b: 2 });
+        assert.equal(source(partial), '/1,2{/c}');
+        assert.equal(partial.stringify({ c: 3 }), '/1,2/3');
+    });
+
+    it('should keep types', function () {
+        var uriTemplate = new UriTemplate('/{when}/{id}', { variables: { when: 'date', id: 'integer' } });
+        var partial = uriTemplate.expandPartial({ when: new Date(Date.UTC(2024, 0, 2)) });
+        assert.equal(source(partial), '/2024-01-02/{id}');
+        assert.deepEqual(partial.parse('/2024-01-02/7'), { id: 7 });
+        assert.throws(function () {
+            partial.stringify({ id: 'x' });
+        }, /'id' is not a valid integer/);
+    });
+
+});
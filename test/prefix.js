@@ -0,0 +1,104 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+var Router = require('../src/Router');
+
+describe('prefix modifiers', function () {
+
+    describe('stringify', function () {
+
+        it('should count characters, not UTF-16 code units', function () {
+            assert.equal(new UriTemplate('{x:2}').stringify({ x: '😀😀😀' }), '%F0%9F%98%80%F0%9F%98%80');
+            assert.equal(new UriTemplate('{x:1}').stringify({ x: '😀' }), '%F0%9F%98%80');
+            assert.equal(new UriTemplate('{x:3}').stringify({ x: 'a😀bc' }), 'a%F0%9F%98%80b');
+        });
+
+        it('should truncate before encoding', function () {
+            assert.equal(new UriTemplate('{x:2}').stringify({ x: 'é é' }), '%C3%A9%20');
+            assert.equal(new UriTemplate('{+x:3}').stringify({ x: '/a b' }), '/a%20');
+        });
+
+    });
+
+    describe('parse', function () {
+
+        it('should not match values longer than the prefix', function () {
+            var template = new UriTemplate('/{initial:1}/{name}');
+            assert.deepEqual(template.parse('/j/jane'), { initial: 'j', name: 'jane' });
+            assert.equal(template.parse('/ja/jane'), false);
+            assert.deepEqual(template.parse('/%F0%9F%98%80/jane'), { initial: '😀', name: 'jane' });
+        });
+
+        it('should report the prefix of a value that is too long', function () {
+            assert.throws(() => new UriTemplate('/x{?q:3}').parseOrThrow('/x?q=abcd'), function (error) {
+                assert.equal(error.message, "expression '{?q:3}' does not match: 'q' is longer than its prefix of 3 at offset 5");
+                return true;
+            });
+        });
+
+        it('should not split a prefix into a list', function () {
+            assert.deepEqual(new UriTemplate('{+x:3}').parse('a,b'), { x: 'a,b' });
+        });
+
+        it('should annotate prefix values with partial', function () {
+            var template = new UriTemplate('/{initial:1}/{name}{?q:3}');
+            assert.deepEqual(template.parse('/j/jane?q=ab', { partial: true }), {
+                initial: { value: 'j', truncated: true },
+                name: 'jane',
+                q: { value: 'ab', truncated: false }
+            });
+            assert.deepEqual(template.parseOrThrow('/j/jane?q=abc', { partial: true }).q, { value: 'abc', truncated: true });
+            assert.deepEqual(template.parse('/j/jane?q=abc'), { initial: 'j', name: 'jane', q: 'abc' });
+        });
+
+        it('should take the whole value of a variable that is also expanded without a prefix', function () {
+            assert.deepEqual(new UriTemplate('{var:3}/{var}').parse('val/value', { partial: true }), { var: 'value' });
+            assert.deepEqual(new UriTemplate('{var}/{var:3}').parse('value/val', { partial: true }), { var: 'value' });
+        });
+
+        it('should not match a prefix that the whole value does not start with', function () {
+            assert.equal(new UriTemplate('{/var:1,var}').parse('/x/value'), false);
+            assert.deepEqual(new UriTemplate('{/var:1,var}').parse('/v/value'), { var: 'value' });
+            assert.equal(new UriTemplate('{var}/{var:3}').parse('value/vax'), false);
+            assert.equal(new UriTemplate('{var:3}/{var}').parse('ab/abc'), false);
+            assert.throws(() => new UriTemplate('{/var:1,var}').parseOrThrow('/x/value'), function (error) {
+                assert.equal(error.message, "expression '{/var:1,var}' does not match: 'var' does not start with its prefix 'x' at offset 3");
+                return true;
+            });
+        });
+
+        it('should take the longest of two prefixes when they agree', function () {
+            assert.deepEqual(new UriTemplate('{var:2}/{var:4}').parse('ab/abcd', { partial: true }), { var: { value: 'abcd', truncated: true } });
+            assert.deepEqual(new UriTemplate('{var:4}/{var:2}').parse('abc/ab'), { var: 'abc' });
+            assert.equal(new UriTemplate('{var:2}/{var:4}').parse('ab/xbcd'), false);
+        });
+
+        it('should coerce the whole value that replaces a prefix', function () {
+            var template = new UriTemplate('{id:1}/{id}', { variables: { id: 'integer' } });
+            assert.deepEqual(template.parse('1/12'), { id: 12 });
+            assert.equal(template.parse('2/12'), false);
+        });
+
+        it('should annotate typed values', function () {
+            var template = new UriTemplate('/{year:4}', { variables: { year: 'integer' } });
+            assert.deepEqual(template.parse('/2024', { partial: true }), { year: { value: 2024, truncated: true } });
+        });
+
+    });
+
+    it('should let routes with longer values fall through', function () {
+        var router = new Router()
+            .get('initial', '/users/{name:1}', function () {})
+            .get('name', '/users/{name}', function () {});
+
+        return router.handle('/users/jane').then(function (result) {
+            assert.equal(result.route.name, 'name');
+            return router.handle('/users/j');
+        }).then(function (result) {
+            assert.equal(result.route.name, 'initial');
+        });
+    });
+
+});
@@ -0,0 +1,88 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+
+describe('query parameters', function () {
+
+    it('should match in any order', function () {
+        var uriTemplate = new UriTemplate('/a/b{?c,d}');
+        assert.deepEqual(uriTemplate.parse('/a/b?d=5&c=4'), { c: '4', d: '5' });
+    });
+
+    it('should match across continuation expressions', function () {
+        var uriTemplate = new UriTemplate('/a{?b}{&c,d}');
+        assert.deepEqual(uriTemplate.parse('/a?d=3&b=1&c=2'), { b: '1', c: '2', d: '3' });
+        assert.deepEqual(uriTemplate.parse('/a?c=2'), { c: '2' });
+    });
+
+    it('should skip unknown parameters', function () {
+        var uriTemplate = new UriTemplate('/a{?b,c}');
+        assert.deepEqual(uriTemplate.parse('/a?utm_source=mail&b=1&utm%5Fmedium=x'), { b: '1' });
+        assert.deepEqual(uriTemplate.parse('/a?utm_source=mail'), {});
+    });
+
+    it('should collect unknown parameters in the rest variable', function () {
+        var uriTemplate = new UriTemplate('/a{?b}', { rest: 'extra' });
+        assert.deepEqual(uriTemplate.parse('/a?utm_source=mail&b=1&utm%5Fmedium=x&flag'), {
+            b: '1',
+            extra: { utm_source: 'mail', utm_medium: 'x', flag: '' }
+        });
+        assert.deepEqual(uriTemplate.parse('/a?b=1'), { b: '1' });
+    });
+
+    it('should leave unknown parameters to an exploded map', function () {
+        var uriTemplate = new UriTemplate('/a{?b,params*}', { rest: 'extra' });
+        assert.deepEqual(uriTemplate.parse('/a?x=1&b=2&y=3'), { b: '2', params: { x: '1', y: '3' } });
+    });
+
+    it('should gather repeated parameters', function () {
+        var uriTemplate = new UriTemplate('/a{?b,c}', { rest: 'extra' });
+        assert.deepEqual(uriTemplate.parse('/a?b=1&c=2&b=3&b=4,5&x=6&x=7'), {
+            b: ['1', '3', '4', '5'],
+            c: '2',
+            extra: { x: ['6', '7'] }
+        });
+    });
+
+    it('should gather repeated keys of an exploded map', function () {
+        var uriTemplate = new UriTemplate('/a{?params*}');
+        assert.deepEqual(uriTemplate.parse('/a?x=1&x=2&y=3'), { params: { x: ['1', '2'], y: '3' } });
+    });
+
+    it('should take every character of a query in known and unknown parameters', function () {
+        var uriTemplate = new UriTemplate('/search{?q}', { rest: 'extra' });
+        assert.deepEqual(uriTemplate.parse('/search?q=a+b'), { q: 'a+b' });
+        assert.deepEqual(uriTemplate.parse('/search?q=a/b:c'), { q: 'a/b:c' });
+        assert.deepEqual(uriTemplate.parse('/search?q=1&next=/home&ref=https://example.com/x?y=1'), {
+            q: '1',
+            extra: { next: '/home', ref: 'https://example.com/x?y=1' }
+        });
+        assert.deepEqual(uriTemplate.parse("/search?q='it'&a+b=(c)&d:e=@!$*;"), { q: "'it'", extra: { 'a+b': '(c)', 'd:e': '@!$*;' } });
+        assert.equal(uriTemplate.parse('/search?q=1#top'), false);
+    });
+
+    it('should match names in normal form', function () {
+        var uriTemplate = new UriTemplate('/a{;c%2Dd}{?user%2Did,b}');
+        assert.deepEqual(uriTemplate.parse('/a;c-d=4?user-id=1&user%2did=2&b=3'), { 'user%2Did': ['1', '2'], b: '3', 'c%2Dd': '4' });
+        assert.equal(uriTemplate.stringify({ 'user%2Did': 1 }), '/a?user%2Did=1');
+    });
+
+    it('should keep keys that are names of Object.prototype as they are', function () {
+        var rest = new UriTemplate('/s{?q}', { rest: 'extra' }).parse('/s?q=1&constructor=2&toString=3&toString=4&__proto__=5');
+        assert.deepStrictEqual(Object.assign({}, rest.extra), { constructor: '2', toString: ['3', '4'] });
+        assert.equal(Object.getPrototypeOf(rest.extra), Object.prototype);
+        assert.equal(Object.getOwnPropertyDescriptor(rest.extra, '__proto__').value, '5');
+
+        var map = new UriTemplate('/s{?keys*}').parse('/s?hasOwnProperty=1&valueOf=2&valueOf=3');
+        assert.deepStrictEqual(Object.assign({}, map.keys), { hasOwnProperty: '1', valueOf: ['2', '3'] });
+        assert.equal(new UriTemplate('{keys*}').parse('constructor=1,__proto__=2').keys.constructor, '1');
+    });
+
+    it('should still reject unknown names in path parameters', function () {
+        var uriTemplate = new UriTemplate('/a{;b}');
+        assert.equal(uriTemplate.parse('/a;c=1'), false);
+    });
+
+});
@@ -0,0 +1,122 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+var LinearRegExp = require('../src/LinearRegExp');
+var Router = require('../src/Router');
+
+describe('toRegExp', function () {
+
+    it('should be anchored', function () {
+        var regexp = new UriTemplate('/a/{b}').toRegExp();
+        assert.ok(regexp.test('/a/1'));
+        assert.ok(!regexp.test('/x/a/1'));
+        assert.ok(!regexp.test('/a/1/'));
+    });
+
+    it('should capture every expression', function () {
+        var match = new UriTemplate('/a/{b}{/c}{?d,e}').toRegExp().exec('/a/1/2?e=3&d=4');
+        assert.deepEqual(match.slice(1), ['1', '/2', '?e=3&d=4']);
+    });
+
+    it('should return a new RegExp every time', function () {
+        var template = new UriTemplate('/a/{b}');
+        assert.notStrictEqual(template.toRegExp(), template.toRegExp());
+    });
+
+    it('should only allow the characters of the operator', function () {
+        assert.ok(!new UriTemplate('{/var}').toRegExp().test('/a?b'));
+        assert.ok(!new UriTemplate('{var}').toRegExp().test('a/b'));
+        assert.ok(!new UriTemplate('{.var}').toRegExp().test('.a/b'));
+        assert.ok(new UriTemplate('{+var}').toRegExp().test('a/b?c#d'));
+        assert.ok(!new UriTemplate('{+var}').toRegExp().test('a b'));
+    });
+
+});
+
+describe('parse backtracking', function () {
+
+    it('should not let an expression match another operator', function () {
+        var uriTemplate = new UriTemplate('{/var}{?q}');
+        assert.deepEqual(uriTemplate.parse('/a?q=1'), { var: 'a', q: '1' });
+    });
+
+    it('should try other splits of the literals', function () {
+        var uriTemplate = new UriTemplate('/{a}/{+b}/end');
+        assert.deepEqual(uriTemplate.parse('/x/y/z/end'), { a: 'x', b: 'y/z' });
+    });
+
+    it('should not swallow what follows the last literal', function () {
+        var uriTemplate = new UriTemplate('/{a}-{b}');
+        assert.deepEqual(uriTemplate.parse('/x-y-z'), { a: 'x-y', b: 'z' });
+        assert.equal(new UriTemplate('/{a}-{b}.json').parse('/x-y.json/z'), false);
+    });
+
+    it('should fail fast on long strings', function () {
+        var long = new Array(20001).join('a,');
+        assert.equal(new UriTemplate('{a*}{/b}').parse(long + '?'), false);
+        assert.equal(new UriTemplate('{;a*}{?b}').parse(';' + long + '/'), false);
+    });
+
+    it('should fail fast when adjacent expressions may contain the literal between them', function () {
+        this.timeout(1000);
+        var dashes = new Array(5001).join('-');
+        assert.equal(new UriTemplate('/{a}-{b}-{c}-{d}-{e}/').parse('/' + dashes + '!'), false);
+        assert.equal(new UriTemplate('{a}.{b}.{c}.{d}.{e}.{f}').parse(dashes.replace(/-/g, 'x.') + '/'), false);
+        assert.throws(function () {
+            new UriTemplate('/{a}-{b}-{c}-{d}-{e}/').parseOrThrow('/' + dashes + '!');
+        }, /literal '\/' does not match at offset 5001/);
+
+        var router = new Router().get('/{a}-{b}-{c}-{d}-{e}-{f}', function () {});
+        return router.handle('/' + dashes + '!').then(function (result) {
+            assert.equal(result.status, 404);
+        });
+    });
+
+    it('should still try every split of such expressions', function () {
+        assert.deepEqual(new UriTemplate('/{a}-{b}-{c}/').parse('/x-y-z-w/'), { a: 'x-y', b: 'z', c: 'w' });
+        assert.deepEqual(new UriTemplate('{y}-{m}-{d}').parse('2024-01-02'), { y: '2024', m: '01', d: '02' });
+        assert.deepEqual(new UriTemplate('{/a,b}{/c}').parse('/1/2/3'), { a: '1', b: '2', c: '3' });
+    });
+
+});
+
+describe('LinearRegExp', function () {
+
+    function summary(match) {
+        return match && { match: Array.from(match), index: match.index, indices: Array.from(match.indices) };
+    }
+
+    it('should match like a RegExp', function () {
+        [
+            ['^(?:a|ab)(c|bcd)$', 'abcd'],
+            ['(a*)*b', 'xaaab'],
+            ['^x{2,3}(x?)', 'xxxx'],
+            ['[^a-c]+', 'abcdef'],
+            ['^[\\s\\S]*(-)', 'a-b-c'],
+            ['(-)$', 'a-b-'],
+            ['^(a)|(b)', 'b'],
+            ['\\/[Aa]\\.', '/a./A.'],
+            ['^a$', 'ab']
+        ].forEach(function (test) {
+            assert.deepEqual(summary(new LinearRegExp(test[0]).exec(test[1])), summary(new RegExp(test[0], 'd').exec(test[1])), test[0]);
+        });
+    });
+
+    it('should match like the RegExp of a template', function () {
+        ['/{a}-{b}-{c}/', '{/a,b}{/c}{?d,e}', '{;x,y}{&z}', '/caf\u00e9/{id}{.ext}', '{#f}'].forEach(function (template) {
+            var source = new UriTemplate(template).toRegExp().source;
+            ['/x-y-z-w/', '/1/2/3?e=1&d=2', ';x=1;y&z=2', '/caf%C3%a9/1.json', '#a/b', ''].forEach(function (str) {
+                assert.deepEqual(summary(new LinearRegExp(source).exec(str)), summary(new RegExp(source, 'd').exec(str)), template + ' ' + str);
+            });
+        });
+    });
+
+    it('should only know the syntax of templates', function () {
+        assert.throws(() => new LinearRegExp('(?=a)'), /unsupported regular expression '\(\?=a\)' at offset 1/);
+        assert.throws(() => new LinearRegExp('a*?'), /unsupported regular expression/);
+        assert.throws(() => new LinearRegExp('\\1'), /unsupported regular expression/);
+    });
+
+});
@@ -0,0 +1,104 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+var resolve = require('../src/resolve').resolve;
+
+describe('reference resolution', function () {
+
+    /* http://tools.ietf.org/html/rfc3986#section-5.4 */
+    var base = 'http://a/b/c/d;p?q';
+    var examples = {
+        'g:h': 'g:h',
+        'g': 'http://a/b/c/g',
+        './g': 'http://a/b/c/g',
+        'g/': 'http://a/b/c/g/',
+        '/g': 'http://a/g',
+        '//g': 'http://g',
+        '?y': 'http://a/b/c/d;p?y',
+        'g?y': 'http://a/b/c/g?y',
+        '#s': 'http://a/b/c/d;p?q#s',
+        'g#s': 'http://a/b/c/g#s',
+        ';x': 'http://a/b/c/;x',
+        '': 'http://a/b/c/d;p?q',
+        '.': 'http://a/b/c/',
+        '..': 'http://a/b/',
+        '../g': 'http://a/b/g',
+        '../..': 'http://a/',
+        '../../../g': 'http://a/g',
+        '/./g': 'http://a/g',
+        '/../g': 'http://a/g',
+        'g.': 'http://a/b/c/g.',
+        '..g': 'http://a/b/c/..g',
+        './../g': 'http://a/b/g',
+        './g/.': 'http://a/b/c/g/',
+        'g/../h': 'http://a/b/c/h',
+        'g;x=1/../y': 'http://a/b/c/y',
+        'g?y/../x': 'http://a/b/c/g?y/../x',
+        'g#s/../x': 'http://a/b/c/g#s/../x',
+        'http:g': 'http:g'
+    };
+
+    Object.keys(examples).forEach(function (reference) {
+        it("should resolve '" + reference + "'", function () {
+            assert.equal(resolve(base, reference), examples[reference]);
+        });
+    });
+
+});
+
+describe('UriTemplate.join', function () {
+
+    function assertJoin(base, relative, expected) {
+        var joined = UriTemplate.join(base, relative);
+        assert.ok(joined instanceof UriTemplate);
+        assert.equal(String(joined), expected);
+    }
+
+    it('should resolve relative paths', function () {
+        assertJoin('https://{host}/api/{version}/', 'users/{id}', 'https://{host}/api/{version}/users/{id}');
+        assertJoin('https://{host}/api/{version}', 'users/{id}', 'https://{host}/api/users/{id}');
+        assertJoin('/a/b/', './{c}{.ext}', '/a/b/{c}{.ext}');
+    });
+
+    it('should remove dot segments', function () {
+        assertJoin('https://{host}/api/{version}/users', '../{v}/x', 'https://{host}/api/{v}/x');
+        assertJoin('/a/b{/c}', '..', '/a/');
+        assertJoin('/{a}/{b}/c', '../../d', '/d');
+    });
+
+    it('should replace the path for a leading slash', function () {
+        assertJoin('https://{host}/api/{version}', '/health', 'https://{host}/health');
+        assertJoin('https://{host}/api', '//{other}/b', 'https://{other}/b');
+    });
+
+    it('should resolve query and fragment expressions', function () {
+        assertJoin('/a/b{?q}', '{?page}', '/a/b{?page}');
+        assertJoin('/a/b{?q}', '{#section}', '/a/b{?q}{#section}');
+        assertJoin('/a/b{?q}', 'c{?x,y}{&z}', '/a/c{?x,y}{&z}');
+        assertJoin('/a?x=1{&y}', '#f', '/a?x=1{&y}#f');
+    });
+
+    it('should treat path segment expressions as segments', function () {
+        assertJoin('/a/b', '/x{/y}', '/x{/y}');
+        assertJoin('/a{/b}', 'c', '/a/c');
+    });
+
+    it('should keep the types of both templates', function () {
+        var base = new UriTemplate('/api/{version}/', { variables: { version: 'integer' } });
+        var joined = base.resolve(new UriTemplate('users/{id}', { variables: { id: 'integer' } }));
+        assert.equal(String(joined), '/api/{version}/users/{id}');
+        assert.deepEqual(joined.parse('/api/2/users/7'), { version: 2, id: 7 });
+    });
+
+    it('should expand like the resolved expansion', function () {
+        var data = { host: 'example.com', version: 'v1', id: 7, q: 'x' };
+        var joined = UriTemplate.join('https://{host}/api/{version}/', 'users/{id}{?q}');
+        assert.equal(joined.stringify(data), resolve(
+            new UriTemplate('https://{host}/api/{version}/').stringify(data),
+            new UriTemplate('users/{id}{?q}').stringify(data)
+        ));
+    });
+
+});
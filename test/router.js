@@ -18,26 +18,539 @@ describe('Router', function () {
     router.add('/a/b{?c,d}', setLastRouteData);
 
     it('test 1', function () {
-        router.handle('/a/b/1');
-        assert.deepEqual(lastRouteData, {
-            c: '1'
+        return router.handle('/a/b/1').then(function () {
+            assert.deepEqual(lastRouteData, {
+                c: '1'
+            });
         });
     });
 
     it('test 2', function () {
-        router.handle('/a/b/2/3');
-        assert.deepEqual(lastRouteData, {
-            c: '2',
-            d: '3'
+        return router.handle('/a/b/2/3').then(function () {
+            assert.deepEqual(lastRouteData, {
+                c: '2',
+                d: '3'
+            });
         });
     });
 
     it('test 3', function () {
-        router.handle('/a/b?c=4&d=5');
-        assert.deepEqual(lastRouteData, {
-            c: '4',
-            d: '5'
+        return router.handle('/a/b?c=4&d=5').then(function () {
+            assert.deepEqual(lastRouteData, {
+                c: '4',
+                d: '5'
+            });
         });
     });
 
-});
\ No newline at end of file
+    it('test 4', function () {
+        return router.handle('/a/b?d=7&c=6').then(function () {
+            assert.deepEqual(lastRouteData, {
+                c: '6',
+                d: '7'
+            });
+        });
+    });
+
+});
+describe('Router methods', function () {
+    var router = new Router();
+    var calls = [];
+
+    function record(name) {
+        return function (params) {
+            calls.push([name, params]);
+        };
+    }
+
+    router.get('/users/{id}', record('get'));
+    router.post('/users/{id}', record('post'));
+    router.delete('/users/{id}', record('delete'));
+    router.put('/items/{id}', record('put'));
+
+    it('should dispatch on the method', function () {
+        calls = [];
+        return router.handle('/users/1', 'POST').then(function (result) {
+            assert.equal(result.status, 200);
+            assert.deepEqual(result.params, { id: '1' });
+            assert.deepEqual(calls, [['post', { id: '1' }]]);
+        });
+    });
+
+    it('should default to GET', function () {
+        calls = [];
+        return router.handle('/users/2').then(function (result) {
+            assert.equal(result.status, 200);
+            assert.deepEqual(calls, [['get', { id: '2' }]]);
+        });
+    });
+
+    it('should tell 404 from 405', function () {
+        return Promise.all([
+            router.handle('/nothing/here', 'GET'),
+            router.handle('/users/1', 'PUT'),
+            router.handle('/items/1', 'get')
+        ]).then(function (results) {
+            assert.deepEqual(results[0], { status: 404 });
+            assert.deepEqual(results[1], { status: 405, allowed: ['GET', 'POST', 'DELETE'] });
+            assert.deepEqual(results[2], { status: 405, allowed: ['PUT'] });
+        });
+    });
+
+    it('should match templates without a query when the url has one', function () {
+        var router = new Router();
+        router.get('/users/{id}', function () {});
+        router.get('/search{?q}', function () {});
+        router.get('/a?b=1', function () {});
+        return Promise.all([
+            router.handle('/users/1?utm_source=x'),
+            router.handle('/search?q=x&utm_source=y'),
+            router.handle('/a?c=1')
+        ]).then(function (results) {
+            assert.deepEqual(results[0].params, { id: '1' });
+            assert.deepEqual(results[1].params, { q: 'x' });
+            assert.equal(results[2].status, 404);
+            assert.deepEqual(router.match('/users/2?x', 'GET').params, { id: '2' });
+        });
+    });
+
+    it('should handle HEAD with GET routes', function () {
+        var router = new Router();
+        router.get('/a', function () {});
+        router.post('/b', function () {});
+        return Promise.all([router.handle('/a', 'HEAD'), router.handle('/b', 'HEAD')]).then(function (results) {
+            assert.equal(results[0].status, 200);
+            assert.deepEqual(results[1], { status: 405, allowed: ['POST'] });
+        });
+    });
+
+    it('should match any method with add', function () {
+        var any = new Router();
+        any.add('/a', function () {});
+        return any.handle('/a', 'PATCH').then(function (result) {
+            assert.equal(result.status, 200);
+        });
+    });
+
+});
+
+describe('Router handler chains', function () {
+
+    it('should run middleware with next', function () {
+        var router = new Router();
+        var log = [];
+
+        router.use(function (params, next) {
+            log.push('use');
+            return next();
+        });
+        router.get('/a/{b}', function (params, next) {
+            log.push('first ' + params.b);
+            return next();
+        }, function (params) {
+            log.push('second ' + params.b);
+        });
+
+        return router.handle('/a/1').then(function (result) {
+            assert.equal(result.status, 200);
+            assert.deepEqual(log, ['use', 'first 1', 'second 1']);
+        });
+    });
+
+    it('should stop when a handler does not call next', function () {
+        var router = new Router();
+        var log = [];
+
+        router.get('/a', function () {
+            log.push('first');
+        }, function () {
+            log.push('second');
+        });
+
+        return router.handle('/a').then(function () {
+            assert.deepEqual(log, ['first']);
+        });
+    });
+
+    it('should fall through to the next route', function () {
+        var router = new Router();
+        var log = [];
+
+        router.get('/a/{b}', function (params, next) {
+            log.push('next');
+            return next();
+        });
+        router.get('/a/{b}', function () {
+            log.push('false');
+            return false;
+        });
+        router.get('/a/{b}', function () {
+            log.push('handled');
+        });
+
+        return router.handle('/a/1').then(function (result) {
+            assert.equal(result.route, router.routes[2]);
+            assert.deepEqual(log, ['next', 'false', 'handled']);
+        });
+    });
+
+    it('should run middleware once when routes fall through', function () {
+        var router = new Router();
+        var api = new Router();
+        var log = [];
+
+        router.use(function (params, next) {
+            log.push('use');
+            return next();
+        });
+        api.use(function (params, next) {
+            log.push('api');
+            return next();
+        });
+        router.get('/api/{b}', function () {
+            log.push('first');
+            return false;
+        });
+        api.get('/{b}', function (params, next) {
+            log.push('second');
+            return next();
+        });
+        router.get('/{+b}', function () {
+            log.push('third');
+        });
+        router.mount('/api', api);
+
+        return router.handle('/api/1').then(function (result) {
+            assert.equal(result.route.template.toString(), '/{+b}');
+            assert.deepEqual(log, ['use', 'first', 'api', 'second', 'third']);
+        });
+    });
+
+    it('should await promises', function () {
+        var router = new Router();
+        var log = [];
+
+        function later(value) {
+            return new Promise(function (resolve) {
+                setTimeout(function () {
+                    resolve(value);
+                }, 1);
+            });
+        }
+
+        router.get('/a', function (params, next) {
+            return later().then(function () {
+                log.push('middleware');
+                return next();
+            }).then(function () {
+                log.push('after');
+            });
+        }, function () {
+            return later(false);
+        });
+        router.get('/a', function () {
+            return later().then(function () {
+                log.push('handler');
+            });
+        });
+
+        return router.handle('/a').then(function (result) {
+            assert.equal(result.route, router.routes[1]);
+            assert.deepEqual(log, ['middleware', 'after', 'handler']);
+        });
+    });
+
+    it('should pass extra arguments first', function () {
+        var router = new Router();
+        var args;
+
+        router.get('/a/{b}', function () {
+            args = Array.prototype.slice.call(arguments, 0, 3);
+        });
+
+        return router.handle('/a/1', 'GET', 'req', 'res').then(function () {
+            assert.deepEqual(args, ['req', 'res', { b: '1' }]);
+        });
+    });
+
+    it('should reject when a handler throws', function () {
+        var router = new Router();
+
+        router.get('/a', function () {
+            throw new Error('boom');
+        });
+
+        return router.handle('/a').then(function () {
+            assert.fail('expected a rejection');
+        }, function (error) {
+            assert.equal(error.message, 'boom');
+        });
+    });
+
+});
+
+describe('Router named routes', function () {
+    var router = new Router();
+
+    router.add('user', '/users/{id}{?tab}', function () {});
+    router.get('files', '/files{/path*}{#section}', function () {});
+    router.post('/anonymous/{id}', function () {});
+
+    it('should build urls', function () {
+        assert.equal(router.url('user', { id: 5, tab: 'posts' }), '/users/5?tab=posts');
+        assert.equal(router.url('user', { id: 5 }), '/users/5');
+        assert.equal(router.url('files', { path: ['a', 'b c'] }), '/files/a/b%20c');
+    });
+
+    it('should still handle named routes', function () {
+        return router.handle('/users/7?tab=likes').then(function (result) {
+            assert.equal(result.route.name, 'user');
+            assert.deepEqual(result.params, { id: '7', tab: 'likes' });
+        });
+    });
+
+    it('should throw for an unknown route name', function () {
+        assert.throws(function () {
+            router.url('nope', {});
+        }, /there is no route named 'nope'/);
+    });
+
+    it('should throw for a missing required variable', function () {
+        assert.throws(function () {
+            router.url('user', { tab: 'posts' });
+        }, /route 'user' requires 'id'/);
+        assert.throws(function () {
+            router.url('files', { path: [] });
+        }, /route 'files' requires 'path'/);
+    });
+
+    it('should throw for a duplicate name', function () {
+        assert.throws(function () {
+            router.add('user', '/people/{id}', function () {});
+        }, /route 'user' is already defined/);
+    });
+
+    it('should take any name, also those of Object.prototype', function () {
+        var names = new Router().add('constructor', '/x', function () {});
+        assert.equal(names.url('constructor'), '/x');
+        assert.throws(function () {
+            names.url('toString');
+        }, /there is no route named 'toString'/);
+    });
+
+});
+
+describe('Router ranking', function () {
+    var router = new Router();
+    var handled;
+
+    function handler(name) {
+        return function () {
+            handled = name;
+        };
+    }
+
+    router.add('rest', '/a/{+rest}', handler('rest'));
+    router.add('c', '/a/b/{c}', handler('c'));
+    router.add('cd', '/a/b/{c}/{d}', handler('cd'));
+    router.add('label', '/a/b/{c}{.format}', handler('label'));
+    router.add('query', '/a/b{?c,d}', handler('query'));
+    router.add('again', '/a/b/{x}', handler('again'));
+    router.get('get', '/a/b/{y}', handler('get'));
+
+    function names(routes) {
+        return routes.map(function (route) {
+            return route.name;
+        });
+    }
+
+    it('should order by specificity', function () {
+        assert.deepEqual(names(router.order()), ['cd', 'c', 'again', 'get', 'label', 'query', 'rest']);
+    });
+
+    it('should order more constrained expressions first', function () {
+        var constrained = new Router();
+        constrained.add('explode', '/x/{a*}', handler());
+        constrained.add('reserved', '/x/{+a}', handler());
+        constrained.add('simple', '/x/{a}', handler());
+        constrained.add('prefix', '/x/{a:2}', handler());
+        assert.deepEqual(names(constrained.order()), ['prefix', 'simple', 'explode', 'reserved']);
+    });
+
+    it('should dispatch to the most specific route', function () {
+        return router.handle('/a/b/1/2').then(function () {
+            assert.equal(handled, 'cd');
+            return router.handle('/a/b/123');
+        }).then(function () {
+            assert.equal(handled, 'c');
+            return router.handle('/a/b?c=1');
+        }).then(function () {
+            assert.equal(handled, 'query');
+            return router.handle('/a/x/y');
+        }).then(function () {
+            assert.equal(handled, 'rest');
+        });
+    });
+
+    it('should flag routes that can never be reached', function () {
+        var unreachable = router.unreachable();
+        assert.deepEqual(names(unreachable.map(function (x) {
+            return x.route;
+        })), ['again', 'get']);
+        assert.equal(unreachable[0].shadowedBy.name, 'c');
+        assert.equal(unreachable[1].shadowedBy.name, 'c');
+    });
+
+    it('should not flag routes for other methods', function () {
+        var methods = new Router();
+        methods.get('/a/{b}', handler('get'));
+        methods.post('/a/{c}', handler('post'));
+        methods.get('/a/{d}', handler('get again'));
+        assert.deepEqual(methods.unreachable().map(function (x) {
+            return x.route.template.data.glues[0] + x.route.method;
+        }), ['/a/GET']);
+    });
+
+});
+
+describe('Router mount', function () {
+
+    function record(calls, name) {
+        return function () {
+            calls.push(name);
+        };
+    }
+
+    it('should parse the variables of the prefix', function () {
+        var api = new Router();
+        var users = new Router();
+        var handled;
+        users.get('user', '/users/{id}', function (params) {
+            handled = params;
+        });
+        api.mount('/api/{version}', users);
+
+        return api.handle('/api/v2/users/7').then(function (result) {
+            assert.equal(result.status, 200);
+            assert.deepEqual(handled, { version: 'v2', id: '7' });
+            assert.equal(api.url('user', { version: 'v1', id: 8 }), '/api/v1/users/8');
+        });
+    });
+
+    it('should run the middleware of both routers', function () {
+        var api = new Router();
+        var users = new Router();
+        var calls = [];
+        api.use(function (params, next) {
+            calls.push('api');
+            return next();
+        });
+        users.use(function (params, next) {
+            calls.push('users');
+            return next();
+        });
+        users.get('/users', record(calls, 'route'));
+        api.get('/other', record(calls, 'other'));
+        api.mount('/api/', users);
+
+        return api.handle('/api/users').then(function () {
+            assert.deepEqual(calls, ['api', 'users', 'route']);
+            calls.length = 0;
+            return api.handle('/other');
+        }).then(function () {
+            assert.deepEqual(calls, ['api', 'other']);
+        });
+    });
+
+    it('should mount routes that are added later', function () {
+        var root = new Router();
+        var api = new Router();
+        var users = new Router();
+        api.mount('/{version}', users);
+        root.mount('/api', api);
+        users.get('/users/{id}', function () {});
+
+        return root.handle('/api/v3/users/1').then(function (result) {
+            assert.deepEqual(result.params, { version: 'v3', id: '1' });
+        });
+    });
+
+    it('should rank mounted routes with the others', function () {
+        var api = new Router();
+        var items = new Router();
+        var calls = [];
+        api.get('/api/{anything}/{id}', record(calls, 'generic'));
+        items.get('/items/{id}', record(calls, 'items'));
+        api.mount('/api', items);
+
+        return api.handle('/api/items/1').then(function () {
+            assert.deepEqual(calls, ['items']);
+        });
+    });
+
+});
+
+describe('Router matching', function () {
+    var calls = [];
+    var router = new Router().use(function (params, next) {
+        calls.push('use');
+        return next();
+    });
+
+    function handler(name) {
+        return function () {
+            calls.push(name);
+        };
+    }
+
+    router.add('rest', '/a/{+rest}', handler('rest'));
+    router.get('c', '/a/b/{c}', handler('c'));
+    router.post('post', '/a/b/{x}', handler('post'));
+    router.get('query', '/a/b{?c}', handler('query'));
+
+    it('should find the route handle would call, without calling it', function () {
+        var match = router.match('/a/b/1');
+        assert.equal(match.route.name, 'c');
+        assert.deepEqual(match.params, { c: '1' });
+        assert.equal(match.handlers.length, 2);
+        assert.deepEqual(calls, []);
+
+        match.handlers[1]();
+        assert.deepEqual(calls, ['c']);
+        calls.length = 0;
+    });
+
+    it('should only match routes for the method', function () {
+        assert.equal(router.match('/a/b/1', 'post').route.name, 'post');
+        assert.equal(router.match('/a/b/1', 'PUT').route.name, 'rest');
+        assert.equal(router.match('/b'), null);
+        assert.equal(new Router().get('/a', handler()).match('/a', 'POST'), null);
+    });
+
+    it('should find every matching route in order with its score', function () {
+        var matches = router.matchAll('/a/b/1');
+        assert.deepEqual(matches.map(function (x) {
+            return [x.route.name, x.params];
+        }), [['c', { c: '1' }], ['post', { x: '1' }], ['rest', { rest: 'b/1' }]]);
+        assert.deepEqual(matches[0].score, { literals: 5, expressions: 1, constraint: 1 });
+        assert.deepEqual(router.matchAll('/a/b/1', 'POST').map(function (x) {
+            return x.route.name;
+        }), ['post', 'rest']);
+        assert.deepEqual(router.matchAll('/b'), []);
+        assert.deepEqual(calls, []);
+    });
+
+    it('should match the same routes with the trie matcher', function () {
+        var trie = new Router({ matcher: 'trie' });
+        router.routes.forEach(function (route) {
+            trie.route(route.method, route.name, route.template, ...route.handlers);
+        });
+        assert.deepEqual(trie.matchAll('/a/b?c=1').map(function (x) {
+            return x.route.name;
+        }), router.matchAll('/a/b?c=1').map(function (x) {
+            return x.route.name;
+        }));
+        assert.equal(trie.match('/a/b?c=1').route.name, 'query');
+    });
+
+});
@@ -25,8 +25,8 @@ describe('Examples from 2.4. Value Modifiers', function () {
             "dom": ["example", "com"]
         };
 
-        h.addTest('find{?year*}', 'find?year=1965&year=2000&year=2012', data);
-        h.addTest('www{.dom*}', 'www.example.com', data);
+        h.addTest('find{?year*}', 'find?year=1965&year=2000&year=2012', data, true);
+        h.addTest('www{.dom*}', 'www.example.com', data, true);
 
     });
 
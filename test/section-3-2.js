@@ -32,14 +32,14 @@ describe('Examples from 3.2. Expression Expansion', function () {
 
     describe('3.2.1. Variable Expansion', function () {
         h.addTest('{count}', 'one,two,three', data);
-        h.addTest('{count*}', 'one,two,three', data);
+        h.addTest('{count*}', 'one,two,three', data, true);
         h.addTest('{/count}', '/one,two,three', data);
-        h.addTest('{/count*}', '/one/two/three', data);
+        h.addTest('{/count*}', '/one/two/three', data, true);
         h.addTest('{;count}', ';count=one,two,three', data);
-        h.addTest('{;count*}', ';count=one;count=two;count=three', data);
+        h.addTest('{;count*}', ';count=one;count=two;count=three', data, true);
         h.addTest('{?count}', '?count=one,two,three', data);
-        h.addTest('{?count*}', '?count=one&count=two&count=three', data);
-        h.addTest('{&count*}', '&count=one&count=two&count=three', data);
+        h.addTest('{?count*}', '?count=one&count=two&count=three', data, true);
+        h.addTest('{&count*}', '&count=one&count=two&count=three', data, true);
     });
 
     describe('3.2.2. Simple String Expansion: {var}', function () {
@@ -76,7 +76,7 @@ describe('Examples from 3.2. Expression Expansion', function () {
         h.addTest('{+path,x}/here', '/foo/bar,1024/here', data, true);
         h.addTest('{+path:6}/here', '/foo/b/here', data);
         h.addTest('{+list}', 'red,green,blue', data);
-        h.addTest('{+list*}', 'red,green,blue', data);
+        h.addTest('{+list*}', 'red,green,blue', data, true);
         h.addTest('{+keys}', 'semi,;,dot,.,comma,,', data);
         h.addTest('{+keys*}', 'semi=;,dot=.,comma=,', data);
     });
@@ -91,7 +91,7 @@ describe('Examples from 3.2. Expression Expansion', function () {
         h.addTest('{#path,x}/here', '#/foo/bar,1024/here', data, true);
         h.addTest('{#path:6}/here', '#/foo/b/here', data);
         h.addTest('{#list}', '#red,green,blue', data);
-        h.addTest('{#list*}', '#red,green,blue', data);
+        h.addTest('{#list*}', '#red,green,blue', data, true);
         h.addTest('{#keys}', '#semi,;,dot,.,comma,,', data);
         h.addTest('{#keys*}', '#semi=;,dot=.,comma=,', data);
     });
@@ -106,7 +106,7 @@ describe('Examples from 3.2. Expression Expansion', function () {
         h.addTest('X{.undef}', 'X', data);
         h.addTest('X{.var:3}', 'X.val', data);
         h.addTest('X{.list}', 'X.red,green,blue', data);
-        h.addTest('X{.list*}', 'X.red.green.blue', data);
+        h.addTest('X{.list*}', 'X.red.green.blue', data, true);
         h.addTest('X{.keys}', 'X.semi,%3B,dot,.,comma,%2C', data);
         h.addTest('X{.keys*}', 'X.semi=%3B.dot=..comma=%2C', data);
         h.addTest('X{.empty_keys}', 'X', data);
@@ -124,7 +124,7 @@ describe('Examples from 3.2. Expression Expansion', function () {
         h.addTest('{/var,x}/here', '/value/1024/here', data, true);
         h.addTest('{/var:1,var}', '/v/value', data);
         h.addTest('{/list}', '/red,green,blue', data);
-        h.addTest('{/list*}', '/red/green/blue', data);
+        h.addTest('{/list*}', '/red/green/blue', data, true);
         h.addTest('{/list*,path:4}', '/red/green/blue/%2Ffoo', data);
         h.addTest('{/keys}', '/semi,%3B,dot,.,comma,%2C', data);
         h.addTest('{/keys*}', '/semi=%3B/dot=./comma=%2C', data);
@@ -141,7 +141,7 @@ describe('Examples from 3.2. Expression Expansion', function () {
         h.addTest('{;x,y,undef}', ';x=1024;y=768', data);
         h.addTest('{;hello:5}', ';hello=Hello', data);
         h.addTest('{;list}', ';list=red,green,blue', data);
-        h.addTest('{;list*}', ';list=red;list=green;list=blue', data);
+        h.addTest('{;list*}', ';list=red;list=green;list=blue', data, true);
         h.addTest('{;keys}', ';keys=semi,%3B,dot,.,comma,%2C', data);
         h.addTest('{;keys*}', ';semi=%3B;dot=.;comma=%2C', data);
     });
@@ -154,7 +154,7 @@ describe('Examples from 3.2. Expression Expansion', function () {
         h.addTest('{?x,y,undef}', '?x=1024&y=768', data);
         h.addTest('{?var:3}', '?var=val', data);
         h.addTest('{?list}', '?list=red,green,blue', data);
-        h.addTest('{?list*}', '?list=red&list=green&list=blue', data);
+        h.addTest('{?list*}', '?list=red&list=green&list=blue', data, true);
         h.addTest('{?keys}', '?keys=semi,%3B,dot,.,comma,%2C', data);
         h.addTest('{?keys*}', '?semi=%3B&dot=.&comma=%2C', data);
     });
@@ -167,7 +167,7 @@ describe('Examples from 3.2. Expression Expansion', function () {
         h.addTest('{&x,y,undef}', '&x=1024&y=768', data);
         h.addTest('{&var:3}', '&var=val', data);
         h.addTest('{&list}', '&list=red,green,blue', data);
-        h.addTest('{&list*}', '&list=red&list=green&list=blue', data);
+        h.addTest('{&list*}', '&list=red&list=green&list=blue', data, true);
         h.addTest('{&keys}', '&keys=semi,%3B,dot,.,comma,%2C', data);
         h.addTest('{&keys*}', '&semi=%3B&dot=.&comma=%2C', data);
     });
@@ -0,0 +1,141 @@
+/* jshint node:true */
+/* global describe, it, afterEach */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+var Router = require('../src/Router');
+
+function Point(x, y) {
+    this.x = x;
+    this.y = y;
+}
+
+var point = {
+    name: 'point',
+    test: x => x instanceof Point,
+    deserialize: x => Array.isArray(x) && x.length === 2 ? new Point(Number(x[0]), Number(x[1])) : undefined,
+    serialize: x => [String(x.x), String(x.y)]
+};
+
+describe('serializers', function () {
+
+    describe('built in', function () {
+
+        it('should expand dates, bigints, sets, maps and search params without a type', function () {
+            var template = new UriTemplate('/{at}/{id}{?tags*,filter*,q*}');
+            assert.equal(template.stringify({
+                at: new Date(Date.UTC(2024, 0, 2, 3, 4, 5)),
+                id: BigInt('9007199254740993'),
+                tags: new Set(['a', 'b']),
+                filter: new Map([['state', 'open']]),
+                q: new URLSearchParams('x=1&x=2')
+            }), '/2024-01-02T03%3A04%3A05.000Z/9007199254740993?tags=a&tags=b&state=open&x=1&x=2');
+        });
+
+        it('should serialize values in lists and maps', function () {
+            assert.equal(new UriTemplate('{?ids}').stringify({ ids: [BigInt(1), BigInt(2)] }), '?ids=1,2');
+            assert.equal(new UriTemplate('{?m*}').stringify({ m: { since: new Date(0) } }), '?since=1970-01-01T00%3A00%3A00.000Z');
+        });
+
+        it('should round trip through variables', function () {
+            var template = new UriTemplate('/{id}{?tags*,filter*}', {
+                variables: { id: 'bigint', tags: 'set', filter: 'map' }
+            });
+            var data = {
+                id: BigInt('9007199254740993'),
+                tags: new Set(['a', 'b']),
+                filter: new Map([['state', 'open'], ['sort', 'name']])
+            };
+            var str = template.stringify(data);
+            assert.equal(str, '/9007199254740993?tags=a&tags=b&state=open&sort=name');
+            assert.deepEqual(new UriTemplate('/{id}{?tags*}', { variables: { id: 'bigint', tags: 'set' } }).parse('/1?tags=a&tags=b'), {
+                id: BigInt(1),
+                tags: new Set(['a', 'b'])
+            });
+            assert.deepEqual(new UriTemplate('{filter}', { variables: { filter: 'map' } }).parse('state,open,sort,name'), {
+                filter: new Map([['state', 'open'], ['sort', 'name']])
+            });
+        });
+
+        it('should round trip search params with repeated keys', function () {
+            var template = new UriTemplate('/search{?q*}', { variables: { q: 'search-params' } });
+            var str = template.stringify({ q: new URLSearchParams('a=1&a=2&b=3') });
+            assert.equal(str, '/search?a=1&a=2&b=3');
+            assert.equal(String(template.parse(str).q), 'a=1&a=2&b=3');
+        });
+
+    });
+
+    describe('lists and maps', function () {
+
+        it('should repeat the key of a list in an exploded map', function () {
+            assert.equal(new UriTemplate('{?m*}').stringify({ m: { a: ['1', '2'], b: '3' } }), '?a=1&a=2&b=3');
+            assert.equal(new UriTemplate('{;m*}').stringify({ m: { a: ['1', '2'] } }), ';a=1;a=2');
+        });
+
+        it('should not expand values nested further', function () {
+            assert.throws(() => new UriTemplate('{x}').stringify({ x: [['a']] }), /'x' has a list in a list, that can not be expanded/);
+            assert.throws(() => new UriTemplate('{x}').stringify({ x: { a: { b: '1' } } }), /'x' has a map in a map, that can not be expanded/);
+            assert.throws(() => new UriTemplate('{x*}').stringify({ x: { a: [['1']] } }), /'x' has a list in a list/);
+            assert.throws(() => new UriTemplate('{?m}').stringify({ m: { a: ['1', '2'] } }), /'m' has a list in a map, that only expands exploded/);
+        });
+
+    });
+
+    describe('registry', function () {
+
+        afterEach(function () {
+            UriTemplate.removeSerializer(point);
+        });
+
+        it('should use serializers of the template', function () {
+            var template = new UriTemplate('/at/{p}', { serializers: [point] });
+            assert.equal(template.stringify({ p: new Point(1, 2) }), '/at/1,2');
+            assert.equal(new UriTemplate('/at/{p}').stringify({ p: new Point(1, 2) }), '/at/x,1,y,2');
+        });
+
+        it('should know serializers by name', function () {
+            var template = new UriTemplate('/at/{p}', { variables: { p: 'point' }, serializers: [point] });
+            assert.deepEqual(template.parse('/at/1,2'), { p: new Point(1, 2) });
+            assert.equal(template.parse('/at/1'), false);
+            assert.throws(() => new UriTemplate('/at/{p}', { variables: { p: 'point' } }), /unknown type 'point' for 'p'/);
+        });
+
+        it('should use serializers of addSerializer for every template', function () {
+            UriTemplate.addSerializer(point);
+            var template = new UriTemplate('/at/{p}', { variables: { p: 'point' } });
+            assert.equal(template.stringify({ p: new Point(3, 4) }), '/at/3,4');
+            assert.deepEqual(template.parse('/at/3,4'), { p: new Point(3, 4) });
+
+            UriTemplate.removeSerializer(point);
+            assert.throws(() => new UriTemplate('/at/{p}', { variables: { p: 'point' } }), /unknown type 'point'/);
+        });
+
+        it('should try serializers of the template first', function () {
+            UriTemplate.addSerializer(point);
+            var flipped = Object.assign({}, point, { serialize: x => [String(x.y), String(x.x)] });
+            assert.equal(new UriTemplate('{p}', { serializers: [flipped] }).stringify({ p: new Point(1, 2) }), '2,1');
+            assert.equal(new UriTemplate('{p}').stringify({ p: new Point(1, 2) }), '1,2');
+        });
+
+        it('should let serializers replace the built in ones', function () {
+            var day = { name: 'day', test: x => x instanceof Date, parse: x => new Date(x), stringify: x => x.toISOString().substring(0, 10) };
+            assert.equal(new UriTemplate('{d}', { serializers: [day] }).stringify({ d: new Date(0) }), '1970-01-01');
+        });
+
+        it('should reject serializers without conversions', function () {
+            assert.throws(() => UriTemplate.addSerializer({ name: 'nothing' }), /a serializer needs parse and stringify, or deserialize and serialize functions/);
+        });
+
+        it('should keep serializers of templates that are composed', function () {
+            var base = new UriTemplate('/api/', { serializers: [point] });
+            assert.equal(UriTemplate.join(base, '{p}').stringify({ p: new Point(1, 2) }), '/api/1,2');
+            assert.equal(new UriTemplate('{p}{/q}', { serializers: [point] }).expandPartial({ p: new Point(1, 2) }).stringify({ q: new Point(3, 4) }), '1,2/3,4');
+
+            var router = new Router().mount(base, new Router().get('/at/{q}', function () {}));
+            assert.equal(router.routes[0].template.stringify({ q: new Point(5, 6) }), '/api/at/5,6');
+        });
+
+    });
+
+});
@@ -0,0 +1,98 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+
+describe('strict parse', function () {
+
+    function matchError(fn) {
+        try {
+            fn();
+        } catch (error) {
+            assert.ok(error instanceof UriTemplate.UriTemplateMatchError);
+            return error;
+        }
+        assert.fail('expected a UriTemplateMatchError');
+    }
+
+    it('should return false when not strict', function () {
+        var uriTemplate = new UriTemplate('/a/b/{c}');
+        assert.equal(uriTemplate.parse('/x/y/1'), false);
+    });
+
+    it('should return the data when the string matches', function () {
+        var uriTemplate = new UriTemplate('/a/b/{c}');
+        assert.deepEqual(uriTemplate.parseOrThrow('/a/b/1'), { c: '1' });
+        assert.deepEqual(uriTemplate.parse('/a/b/1', { strict: true }), { c: '1' });
+    });
+
+    it('should report the leading literal', function () {
+        var uriTemplate = new UriTemplate('/a/b/{c}');
+        var error = matchError(function () {
+            uriTemplate.parseOrThrow('/x/y/1');
+        });
+        assert.equal(error.literal, '/a/b/');
+        assert.equal(error.offset, 0);
+    });
+
+    it('should report a literal between expressions', function () {
+        var uriTemplate = new UriTemplate('/a/b/{c}/{d}');
+        var error = matchError(function () {
+            uriTemplate.parse('/a/b/1', { strict: true });
+        });
+        assert.equal(error.literal, '/');
+        assert.equal(error.offset, 6);
+
+        error = matchError(function () {
+            new UriTemplate('/a/{b}/c').parseOrThrow('/a/x/d');
+        });
+        assert.equal(error.literal, '/c');
+        assert.equal(error.offset, 4);
+    });
+
+    it('should report a literal that does not end the string', function () {
+        var uriTemplate = new UriTemplate('/a/{b}.json');
+        var error = matchError(function () {
+            uriTemplate.parseOrThrow('/a/1.json.bak');
+        });
+        assert.equal(error.literal, '.json');
+    });
+
+    it('should report the failing expression', function () {
+        var uriTemplate = new UriTemplate('/a/b{?c,d}');
+        var error = matchError(function () {
+            uriTemplate.parseOrThrow('/a/b?c=4&d');
+        });
+        assert.equal(error.expression, '{?c,d}');
+        assert.equal(error.offset, 10);
+        assert.ok(/expected '=' after 'd'/.test(error.message));
+    });
+
+    it('should report a missing operator prefix', function () {
+        var uriTemplate = new UriTemplate('/a{/b}');
+        var error = matchError(function () {
+            uriTemplate.parseOrThrow('/a-b');
+        });
+        assert.equal(error.expression, '{/b}');
+        assert.equal(error.offset, 2);
+    });
+
+    it('should report characters the operator does not allow', function () {
+        var uriTemplate = new UriTemplate('/a{/b}');
+        var error = matchError(function () {
+            uriTemplate.parseOrThrow('/a/1?2');
+        });
+        assert.equal(error.expression, '{/b}');
+        assert.equal(error.offset, 2);
+    });
+
+    it('should report malformed percent-encoding', function () {
+        var uriTemplate = new UriTemplate('{var}');
+        var error = matchError(function () {
+            uriTemplate.parseOrThrow('%E0%A4%A');
+        });
+        assert.equal(error.expression, '{var}');
+    });
+
+});
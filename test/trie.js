@@ -0,0 +1,158 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var Router = require('../src/Router');
+var RouteTrie = require('../src/RouteTrie');
+
+describe('RouteTrie', function () {
+
+    it('should find the values of every key that prefixes the string', function () {
+        var trie = new RouteTrie();
+        trie.insert('/a/b/', 1);
+        trie.insert('/a/', 2);
+        trie.insert('', 3);
+        trie.insert('/a/bc', 4);
+        trie.insert('/x', 5);
+        trie.insert('/a/', 6);
+
+        assert.deepEqual(trie.lookup('/a/b/c').sort(), [1, 2, 3, 6]);
+        assert.deepEqual(trie.lookup('/a/bcd').sort(), [2, 3, 4, 6]);
+        assert.deepEqual(trie.lookup('/a').sort(), [3]);
+        assert.deepEqual(trie.lookup('/xyz').sort(), [3, 5]);
+        assert.equal(trie.size, 6);
+    });
+
+    it('should split nodes that share part of their label', function () {
+        var trie = new RouteTrie();
+        trie.insert('/users/', 1);
+        trie.insert('/user', 2);
+        trie.insert('/usage', 3);
+
+        assert.deepEqual(trie.lookup('/users/1').sort(), [1, 2]);
+        assert.deepEqual(trie.lookup('/usage').sort(), [3]);
+        assert.deepEqual(trie.lookup('/us'), []);
+    });
+
+    it('should descend through expressions to the literals after them', function () {
+        var trie = new RouteTrie();
+        trie.insert(['/api/', { chars: ',' }, '/users/'], 1);
+        trie.insert(['/api/', { chars: ',' }, '/orders/'], 2);
+        trie.insert(['/api/', { chars: '/,' }, '/users/'], 3);
+        trie.insert(['/api/', { chars: ',' }, 'users'], 4);
+
+        assert.deepEqual(trie.lookup('/api/billing/users/7').sort(), [1, 3, 4]);
+        assert.deepEqual(trie.lookup('/api/a,b/orders/7').sort(), [2, 3, 4]);
+        assert.deepEqual(trie.lookup('/api/billing/invoices').sort(), [3, 4]);
+        assert.deepEqual(trie.lookup('/api/').sort(), [3, 4]);
+    });
+
+});
+
+describe('Router trie matcher', function () {
+
+    var templates = [
+        '/a/{+rest}',
+        '/a/b/{c}',
+        '/a/b/{c}/{d}',
+        '/a/b/{c}{.format}',
+        '/a/b{?c,d}',
+        '/a/b/{x}',
+        '{/path*}',
+        '/users/{id}',
+        '/users/{id}/posts{/post}',
+        '/users{?q}',
+        '/usage{;period}',
+        '{+base}/static/{file}',
+        '/x/{a:2}',
+        '/x/{a}'
+    ];
+
+    var urls = [
+        '/a/b/1', '/a/b/1/2', '/a/b/1.json', '/a/b?c=1&d=2', '/a/b', '/a/x/y',
+        '/users/7', '/users/7/posts', '/users/7/posts/3', '/users?q=x', '/users',
+        '/usage;period=day', '/cdn/static/app.js', '/x/ab', '/x/abc', '/nothing/here', '', '/'
+    ];
+
+    function createRouter(options) {
+        var router = new Router(options);
+        templates.forEach(function (template, index) {
+            var handler = function () {};
+            if (index % 3 === 0) router.get(String(index), template, handler);
+            else if (index % 3 === 1) router.post(String(index), template, handler);
+            else router.add(String(index), template, handler);
+        });
+        return router;
+    }
+
+    function summary(result) {
+        return {
+            status: result.status,
+            route: result.route && result.route.name,
+            params: result.params,
+            allowed: result.allowed
+        };
+    }
+
+    var linear = createRouter();
+    var trie = createRouter({ matcher: 'trie' });
+
+    ['GET', 'POST', 'PUT'].forEach(function (method) {
+        urls.forEach(function (url) {
+            it('should match ' + method + " '" + url + "' like the linear scan", function () {
+                return Promise.all([
+                    linear.handle(url, method),
+                    trie.handle(url, method)
+                ]).then(function (results) {
+                    assert.deepEqual(summary(results[1]), summary(results[0]));
+                });
+            });
+        });
+    });
+
+    it('should try fewer routes', function () {
+        assert.equal(trie.candidates('/users/7').length, 4);
+        assert.equal(linear.candidates('/users/7').length, templates.length);
+    });
+
+    it('should try only the routes whose literals after the first expression fit', function () {
+        var services = ['billing', 'shipping', 'accounts', 'search', 'mail'];
+        var resources = ['users', 'orders', 'invoices', 'items', 'carts'];
+        var router = new Router({ matcher: 'trie' });
+        services.forEach(function (service) {
+            router.add('/api/' + service + '/{version}', function () {});
+        });
+        resources.forEach(function (resource) {
+            router.add('/api/{service}/' + resource + '/{id}', function () {});
+            router.add('/api/{service}/' + resource + '{?page}', function () {});
+        });
+
+        assert.deepEqual(router.candidates('/api/shop/orders/7').map(x => x.template.toString()), [
+            '/api/{service}/orders/{id}', '/api/{service}/orders{?page}'
+        ]);
+        assert.equal(router.candidates('/api/billing/users?page=2').length, 2);
+        assert.equal(router.candidates('/api/shop/unknown').length, 0);
+        return router.handle('/api/shop/orders/7').then(function (result) {
+            assert.deepEqual(result.params, { service: 'shop', id: '7' });
+        });
+    });
+
+    it('should pick up routes added after a lookup', function () {
+        var router = new Router({ matcher: 'trie' });
+        router.add('/a/{b}', function () {});
+        return router.handle('/b/1').then(function (result) {
+            assert.equal(result.status, 404);
+            router.add('/b/{c}', function () {});
+            return router.handle('/b/1');
+        }).then(function (result) {
+            assert.deepEqual(result.params, { c: '1' });
+        });
+    });
+
+    it('should throw for an unknown matcher', function () {
+        assert.throws(function () {
+            new Router({ matcher: 'hash' });
+        }, /unknown matcher 'hash'/);
+    });
+
+});
@@ -0,0 +1,164 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+var Router = require('../src/Router');
+
+describe('typed variables', function () {
+
+    function typed(template, variables) {
+        return new UriTemplate(template, { variables: variables });
+    }
+
+    it('should parse integers', function () {
+        var uriTemplate = typed('/a/{id}', { id: 'integer' });
+        assert.deepEqual(uriTemplate.parse('/a/42'), { id: 42 });
+        assert.deepEqual(uriTemplate.parse('/a/-7'), { id: -7 });
+        assert.equal(uriTemplate.parse('/a/4.2'), false);
+        assert.equal(uriTemplate.parse('/a/x'), false);
+        assert.equal(uriTemplate.parse('/a/99999999999999999999'), false);
+    });
+
+    it('should parse numbers', function () {
+        var uriTemplate = typed('{.n}', { n: 'number' });
+        assert.deepEqual(uriTemplate.parse('.1.5'), { n: 1.5 });
+        assert.deepEqual(uriTemplate.parse('.-2e3'), { n: -2000 });
+        assert.equal(uriTemplate.parse('.NaN'), false);
+    });
+
+    it('should parse booleans', function () {
+        var uriTemplate = typed('{?flag}', { flag: 'boolean' });
+        assert.deepEqual(uriTemplate.parse('?flag=true'), { flag: true });
+        assert.deepEqual(uriTemplate.parse('?flag=false'), { flag: false });
+        assert.equal(uriTemplate.parse('?flag=yes'), false);
+    });
+
+    it('should parse dates', function () {
+        var uriTemplate = typed('/{when}', { when: 'date' });
+        assert.equal(uriTemplate.parse('/2024-02-29').when.getTime(), Date.UTC(2024, 1, 29));
+        assert.equal(uriTemplate.parse('/2023-02-29'), false);
+        assert.equal(uriTemplate.parse('/2024-2-1'), false);
+    });
+
+    it('should parse date-times', function () {
+        var uriTemplate = typed('/{when}', { when: 'date-time' });
+        assert.equal(uriTemplate.parse('/2024-02-29T12%3A30%3A00Z').when.getTime(), Date.UTC(2024, 1, 29, 12, 30));
+        assert.equal(uriTemplate.parse('/2024-02-29T12%3A30%2B01%3A00').when.getTime(), Date.UTC(2024, 1, 29, 11, 30));
+        assert.equal(uriTemplate.parse('/2024-02-29'), false);
+    });
+
+    it('should constrain with a RegExp', function () {
+        var uriTemplate = typed('/{slug}', { slug: /^[a-z-]+$/ });
+        assert.deepEqual(uriTemplate.parse('/hello-world'), { slug: 'hello-world' });
+        assert.equal(uriTemplate.parse('/Hello'), false);
+        assert.throws(function () {
+            uriTemplate.stringify({ slug: 'Hello' });
+        }, /'slug' is not a valid match for/);
+    });
+
+    it('should match the same every time with a global or sticky RegExp', function () {
+        var uriTemplate = typed('/s/{s}', { s: /^[a-z]+$/g });
+        [1, 2, 3].forEach(function () {
+            assert.deepEqual(uriTemplate.parse('/s/abc'), { s: 'abc' });
+        });
+        var sticky = typed('/{s}', { s: /[a-z]+$/y });
+        assert.equal(sticky.stringify({ s: 'abc' }), '/abc');
+        assert.equal(sticky.stringify({ s: 'abc' }), '/abc');
+    });
+
+    it('should coerce with a function', function () {
+        var uriTemplate = typed('/{code}', {
+            code: function (value) {
+                return value.length === 3 ? value.toUpperCase() : undefined;
+            }
+        });
+        assert.deepEqual(uriTemplate.parse('/eur'), { code: 'EUR' });
+        assert.equal(uriTemplate.parse('/euro'), false);
+    });
+
+    it('should accept custom types', function () {
+        var hex = {
+            parse: function (value) {
+                return /^[0-9a-f]+$/.test(value) ? parseInt(value, 16) : undefined;
+            },
+            stringify: function (value) {
+                return value.toString(16);
+            }
+        };
+        var uriTemplate = typed('/{color}', { color: hex });
+        assert.deepEqual(uriTemplate.parse('/ff00'), { color: 0xff00 });
+        assert.equal(uriTemplate.stringify({ color: 255 }), '/ff');
+    });
+
+    it('should type every item of a list', function () {
+        var uriTemplate = typed('{/ids*}{?page}', { ids: 'integer', page: 'integer' });
+        assert.deepEqual(uriTemplate.parse('/1/2/3?page=2'), { ids: [1, 2, 3], page: 2 });
+        assert.equal(uriTemplate.parse('/1/x/3'), false);
+    });
+
+    it('should report the expression in strict mode', function () {
+        var uriTemplate = typed('/a/{id}', { id: 'integer' });
+        assert.throws(function () {
+            uriTemplate.parseOrThrow('/a/x');
+        }, function (error) {
+            return error instanceof UriTemplate.UriTemplateMatchError &&
+                error.expression === '{id}' &&
+                error.offset === 3 &&
+                /'id' is not a valid integer/.test(error.message);
+        });
+    });
+
+    it('should stringify typed values', function () {
+        var uriTemplate = typed('/{id}/{when}{?flag,at}', { id: 'integer', when: 'date', flag: 'boolean', at: 'date-time' });
+        assert.equal(uriTemplate.stringify({
+            id: 5,
+            when: new Date(Date.UTC(2024, 4, 6)),
+            flag: false,
+            at: new Date(Date.UTC(2024, 4, 6, 7, 8, 9))
+        }), '/5/2024-05-06?flag=false&at=2024-05-06T07%3A08%3A09.000Z');
+    });
+
+    it('should stringify strings of the type', function () {
+        var uriTemplate = typed('/{id}', { id: 'integer' });
+        assert.equal(uriTemplate.stringify({ id: '12' }), '/12');
+        assert.equal(uriTemplate.stringify({}), '/');
+    });
+
+    it('should not stringify values of another type', function () {
+        var uriTemplate = typed('/{id}', { id: 'integer' });
+        assert.throws(function () {
+            uriTemplate.stringify({ id: 1.5 });
+        }, /'id' is not a valid integer/);
+        assert.throws(function () {
+            uriTemplate.stringify({ id: 'x' });
+        }, /'id' is not a valid integer/);
+    });
+
+    it('should throw for an unknown type', function () {
+        assert.throws(function () {
+            typed('/{id}', { id: 'uuid' });
+        }, /unknown type 'uuid' for 'id'/);
+    });
+
+    it('should let the Router move on to the next route', function () {
+        var router = new Router();
+        var handled;
+        router.get('user', typed('/users/{id}', { id: 'integer' }), function (params) {
+            handled = params;
+        });
+        router.get('/users/{name}', function (params) {
+            handled = params;
+        });
+
+        return router.handle('/users/7').then(function (result) {
+            assert.equal(result.route.name, 'user');
+            assert.deepEqual(handled, { id: 7 });
+            return router.handle('/users/bob');
+        }).then(function () {
+            assert.deepEqual(handled, { name: 'bob' });
+            assert.equal(router.url('user', { id: 8 }), '/users/8');
+        });
+    });
+
+});
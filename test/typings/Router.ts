@@ -0,0 +1,56 @@
+/*
+ * Type-level tests, checked by `npm run test:types`.
+ */
+
+import Router = require('../../src/Router');
+import UriTemplate = require('../../src/UriTemplate');
+import rfc6570 = require('../../src/main');
+import fromPackage = require('rfc6570');
+
+type Equal<A, B> = (<X>() => X extends A ? 1 : 2) extends (<X>() => X extends B ? 1 : 2) ? true : false;
+declare function assert<T extends true>(): void;
+
+const router = new Router({ matcher: 'trie' })
+    .use((params: Router.Params, next: () => Promise<void>) => next())
+    .get('/users/{id}', () => undefined)
+    .post('user', '/users/{id}', async () => false)
+    .add(new UriTemplate('/items/{id}', { variables: { id: 'integer' } }), () => undefined)
+    .route('OPTIONS', 'options', '/', () => undefined);
+
+router.mount('/api/{version}', new Router()).mount(new UriTemplate('/v/{v}'), new Router());
+
+// @ts-expect-error unknown matcher
+new Router({ matcher: 'hash' });
+
+const url: string = router.url('user', { id: 1 });
+
+router.handle('/users/1', 'GET').then(function (result) {
+    if (result.status === 200) {
+        assert<Equal<typeof result.route, Router.Route>>();
+        assert<Equal<typeof result.params, Router.Params>>();
+    } else if (result.status === 405) {
+        assert<Equal<typeof result.allowed, string[]>>();
+    }
+});
+
+const first = router.match('/users/1', 'POST');
+if (first) {
+    assert<Equal<typeof first.params, Router.Params>>();
+    const chain: Router.Handler[] = first.handlers;
+}
+const scores: number[] = router.matchAll('/users/1').map(x => x.score.literals);
+
+const ordered: Router.Route[] = router.order();
+const shadowed: Router.Route[] = router.unreachable().map(x => x.shadowedBy);
+
+const doc = router.toOpenApi({ info: { title: 'Users' }, parameters: { id: { description: 'The id' } }, skipUnsupported: true });
+const style: 'simple' | 'label' | 'matrix' | 'form' | undefined = doc.paths['/users/{id}'].get.parameters?.[0].style;
+const imported: Router = Router.fromOpenApi(doc, { matcher: 'trie', handlers: { user: [() => undefined] } });
+
+const server = Router.createServer(router);
+server.close();
+
+const Bundled: typeof Router = rfc6570.Router;
+const template = new rfc6570('/{a}');
+const expanded: string = template.stringify({ a: 1 });
+const packageRouter: typeof Router = fromPackage.Router;
@@ -0,0 +1,176 @@
+/*
+ * Type-level tests, checked by `npm run test:types`. Nothing here runs,
+ * a wrong type fails the build. Lines marked @ts-expect-error must not
+ * compile.
+ */
+
+import UriTemplate = require('../../src/UriTemplate');
+
+type Equal<A, B> = (<X>() => X extends A ? 1 : 2) extends (<X>() => X extends B ? 1 : 2) ? true : false;
+declare function assert<T extends true>(): void;
+
+/* variable names */
+
+assert<Equal<UriTemplate.VariableName<'/users/{id}{?tab,page}'>, 'id' | 'tab' | 'page'>>();
+assert<Equal<UriTemplate.VariableName<'{+base}/a{/path*}{.fmt:3}{#frag}'>, 'base' | 'path' | 'fmt' | 'frag'>>();
+assert<Equal<UriTemplate.VariableName<'{a,b:2,c*}{&d}{;e}'>, 'a' | 'b' | 'c' | 'd' | 'e'>>();
+assert<Equal<UriTemplate.VariableName<'/no/variables'>, never>>();
+assert<Equal<UriTemplate.ExplodedVariableName<'{a,b*}{?c*,d}'>, 'b' | 'c'>>();
+
+/* stringify */
+
+const users = new UriTemplate('/users/{id}{?tab,page}');
+users.stringify({ id: 1, tab: 'posts', page: 2 });
+users.stringify({ id: '1' });
+users.stringify({ page: [1, 2] });
+users.stringify();
+// @ts-expect-error unknown variable
+users.stringify({ user: 1 });
+// @ts-expect-error values are scalars, lists or maps of scalars
+users.stringify({ id: [[1]] });
+
+/* parse */
+
+const parsed = users.parse('/users/1?tab=posts');
+if (parsed) {
+    assert<Equal<typeof parsed.id, string | string[] | undefined>>();
+    // @ts-expect-error unknown variable
+    parsed.user;
+}
+assert<Equal<ReturnType<typeof users.parseOrThrow>, UriTemplate.ParseResult<'/users/{id}{?tab,page}'>>>();
+
+const strict = users.parse('/users/1', { strict: true });
+assert<Equal<typeof strict.page, string | string[] | undefined>>();
+
+const exploded = new UriTemplate('{/path*}{?query*}').parseOrThrow('/a/b?c=d');
+assert<Equal<typeof exploded.path, UriTemplate.ParsedExplodedValue | undefined>>();
+
+/* prefixes */
+
+const prefixed = new UriTemplate('/{initial:1}/{name}{?q:3}');
+assert<Equal<UriTemplate.PrefixedVariableName<'{a:1}{b}{c:2}{c}'>, 'a'>>();
+const whole = prefixed.parseOrThrow('/j/jane?q=abc');
+assert<Equal<typeof whole.initial, string | undefined>>();
+const partialResult = prefixed.parseOrThrow('/j/jane?q=abc', { partial: true });
+assert<Equal<typeof partialResult.q, UriTemplate.PrefixValue<string> | undefined>>();
+assert<Equal<typeof partialResult.name, string | string[] | undefined>>();
+const maybe = prefixed.parse('/j/jane', { partial: true });
+if (maybe) assert<Equal<typeof maybe.initial, UriTemplate.PrefixValue<string> | undefined>>();
+
+/* typed variables */
+
+const typed = new UriTemplate('/{id}/{when}{?flag,slug,code,hex}', {
+    variables: {
+        id: 'integer',
+        when: 'date',
+        flag: 'boolean',
+        slug: /^[a-z-]+$/,
+        code: (value: string) => value.length === 3 ? value.toUpperCase() : undefined,
+        hex: { parse: (value: string) => parseInt(value, 16), stringify: (value: number) => value.toString(16) }
+    }
+});
+const values = typed.parseOrThrow('/1/2024-01-02');
+assert<Equal<Extract<typeof values.id, number>, number>>();
+assert<Equal<Extract<typeof values.when, Date>, Date>>();
+assert<Equal<Extract<typeof values.flag, boolean>, boolean>>();
+assert<Equal<Extract<typeof values.slug, string>, string>>();
+assert<Equal<Extract<typeof values.code, string>, string>>();
+assert<Equal<Extract<typeof values.hex, number>, number>>();
+typed.stringify({ id: 1, when: new Date(), flag: true, hex: 255 });
+// @ts-expect-error a boolean variable
+typed.stringify({ flag: 1 });
+
+// @ts-expect-error unknown type
+new UriTemplate('{id}', { variables: { id: 'uuid' } });
+
+/* serializers */
+
+users.stringify({ id: BigInt(1), tab: new Date(), page: new Set([1, 2]) });
+new UriTemplate('{?q*}').stringify({ q: new URLSearchParams('a=1') });
+new UriTemplate('{?q*}').stringify({ q: { a: ['1', '2'] } });
+
+const serialized = new UriTemplate('/{id}{?tags*,filter*}', {
+    variables: { id: 'bigint', tags: 'set', filter: 'map' }
+}).parseOrThrow('/1?tags=a');
+assert<Equal<Extract<typeof serialized.id, bigint>, bigint>>();
+assert<Equal<Extract<typeof serialized.tags, Set<string>>, Set<string>>>();
+assert<Equal<Extract<typeof serialized.filter, Map<string, UriTemplate.ParsedValue>>, Map<string, UriTemplate.ParsedValue>>>();
+
+class Point { constructor(public x: number, public y: number) {} }
+const point: UriTemplate.Serializer<Point> = {
+    name: 'point',
+    test: value => value instanceof Point,
+    deserialize: value => Array.isArray(value) && value.length === 2 ? new Point(Number(value[0]), Number(value[1])) : undefined,
+    serialize: value => [value.x, value.y]
+};
+UriTemplate.addSerializer(point);
+UriTemplate.removeSerializer(point);
+const located = new UriTemplate('/at/{p}', { variables: { p: point }, serializers: [point] });
+assert<Equal<Extract<ReturnType<typeof located.parseOrThrow>['p'], Point>, Point>>();
+const own: UriTemplate.Serializer<any>[] = located.serializers;
+// @ts-expect-error a serializer needs parse and stringify, or deserialize and serialize
+UriTemplate.addSerializer({ name: 'nothing' });
+
+/* rest */
+
+const rest = new UriTemplate('/search{?q}', { rest: 'extra' }).parseOrThrow('/search?q=a&x=b');
+assert<Equal<typeof rest.extra, { [key: string]: UriTemplate.ParsedValue } | undefined>>();
+
+/* templates that are not literal types */
+
+declare const source: string;
+const dynamic = new UriTemplate(source);
+dynamic.stringify({ anything: 1 });
+const anything = dynamic.parseOrThrow('/');
+assert<Equal<typeof anything.whatever, unknown>>();
+
+/* partial expansion */
+
+const partial: UriTemplate<string> = users.expandPartial({ id: 1 });
+// @ts-expect-error unknown variable
+users.expandPartial({ user: 1 });
+
+/* composition */
+
+const joined: UriTemplate = UriTemplate.join('https://{host}/api/', users).resolve('../{v}');
+const text: string = joined.toString();
+
+/* introspection */
+
+const level: 1 | 2 | 3 | 4 = users.level;
+const names: string[] = users.variables.map(x => x.name);
+const operators: Array<UriTemplate.Operator | ''> = users.expressions.map(x => x.operator);
+const literals: string[] = users.literals;
+assert<Equal<typeof users.variables[0]['maxLength'], number | undefined>>();
+
+/* compile */
+
+const compiled = UriTemplate.compile('/users/{id}');
+assert<Equal<typeof compiled, UriTemplate<'/users/{id}'>>>();
+// @ts-expect-error unknown variable
+compiled.stringify({ user: 1 });
+UriTemplate.configureCache({ size: 100, stats: false });
+const hits: number = UriTemplate.cacheStats().hits;
+UriTemplate.clearCache();
+
+/* literals */
+
+const normal: string = UriTemplate.normalize('/caf%c3%a9/%7E');
+const expandedGlues: string[] = users.data.expandedGlues;
+
+/* errors */
+
+const errors = UriTemplate.validate('{a');
+assert<Equal<typeof errors, UriTemplate.UriTemplateSyntaxError[]>>();
+assert<Equal<typeof errors[0]['column'], number>>();
+
+try {
+    users.parseOrThrow('/x');
+} catch (error) {
+    if (error instanceof UriTemplate.UriTemplateMatchError) {
+        assert<Equal<typeof error.literal, string | undefined>>();
+    }
+}
+
+const regexp: RegExp = users.toRegExp();
+const same: typeof UriTemplate = UriTemplate.UriTemplate;
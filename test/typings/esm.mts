@@ -0,0 +1,22 @@
+/*
+ * Type-level tests of the ES module entry, checked by `npm run test:types`.
+ */
+
+import rfc6570, { UriTemplate, Router, UriTemplateMatchError, compile, join } from '../../src/index.mjs';
+import * as resolved from 'rfc6570';
+
+const template: UriTemplate<'/users/{id}'> = new UriTemplate('/users/{id}');
+const names: UriTemplate.VariableName<'/users/{id}'> = 'id';
+const router: Router = new Router().get('/users/{id}', () => undefined);
+const result: Promise<Router.HandleResult> = router.handle('/users/1');
+const joined: UriTemplate = join('/a/', template);
+const same: typeof UriTemplate = rfc6570;
+const compiled: UriTemplate<'/users/{id}'> = compile('/users/{id}');
+
+try {
+    template.parseOrThrow('/');
+} catch (error) {
+    if (error instanceof UriTemplateMatchError) error.offset.toFixed();
+}
+
+const fromPackage: typeof UriTemplate = resolved.UriTemplate;
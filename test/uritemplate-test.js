@@ -0,0 +1,71 @@
+/* jshint node:true */
+/* global describe, it */
+
+/*
+ * Runs the uritemplate-test suite, https://github.com/uri-templates/uritemplate-test
+ * vendored in ./uritemplate-test.
+ *
+ * Expansions are compared to the expected result, or one of them when the
+ * order of an associative array is not defined. Every expected result is
+ * parsed as well, the extracted data must expand back to an accepted result.
+ * Templates from the negative tests must fail in strict mode.
+ */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+
+['spec-examples', 'extended-tests', 'negative-tests'].forEach(function (file) {
+    var groups = require('./uritemplate-test/' + file + '.json');
+
+    describe('uritemplate-test ' + file, function () {
+        Object.keys(groups).forEach(function (group) {
+            var variables = groups[group].variables;
+
+            describe(group, function () {
+                groups[group].testcases.forEach(function (testcase) {
+                    var template = testcase[0];
+
+                    if (testcase[1] === false) {
+                        addFailure(template, variables);
+                    } else {
+                        addExpansion(template, [].concat(testcase[1]), variables);
+                    }
+                });
+            });
+        });
+    });
+});
+
+function addExpansion(template, accepted, variables) {
+
+    it("stringify '" + template + "'", function () {
+        var uriTemplate = new UriTemplate(template, { strict: true });
+        assertAccepted(uriTemplate.stringify(variables), accepted);
+    });
+
+    it("parse '" + template + "'", function () {
+        var uriTemplate = new UriTemplate(template, { strict: true });
+        accepted.forEach(function (str) {
+            var data = uriTemplate.parseOrThrow(str);
+            Object.keys(data).forEach(function (name) {
+                assert.ok(name in variables, "unknown variable '" + name + "'");
+            });
+            assertAccepted(uriTemplate.stringify(data), accepted);
+        });
+    });
+
+}
+
+function addFailure(template, variables) {
+
+    it("fail on '" + template + "'", function () {
+        assert.throws(function () {
+            new UriTemplate(template, { strict: true }).stringify(variables);
+        });
+    });
+
+}
+
+function assertAccepted(actual, accepted) {
+    assert.ok(~accepted.indexOf(actual), "'" + actual + "' is not one of '" + accepted.join("', '") + "'");
+}
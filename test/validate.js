@@ -0,0 +1,82 @@
+/* jshint node:true */
+/* global describe, it */
+
+var assert = require('assert');
+var UriTemplate = require('../src/UriTemplate');
+
+describe('template validation', function () {
+
+    function addValid(template) {
+        it("should accept '" + template + "'", function () {
+            assert.deepEqual(UriTemplate.validate(template), []);
+            new UriTemplate(template, { strict: true });
+        });
+    }
+
+    function addInvalid(template, reason, line, column) {
+        it("should reject '" + template + "'", function () {
+            var errors = UriTemplate.validate(template);
+            assert.equal(errors.length, 1);
+            assert.ok(errors[0] instanceof UriTemplate.UriTemplateSyntaxError);
+            assert.equal(errors[0].reason, reason);
+            assert.equal(errors[0].line, line);
+            assert.equal(errors[0].column, column);
+
+            assert.throws(function () {
+                new UriTemplate(template, { strict: true });
+            }, UriTemplate.UriTemplateSyntaxError);
+        });
+    }
+
+    addValid('');
+    addValid('/a/b');
+    addValid('{var}');
+    addValid('/a/{b}{?c,d*}{#e:3}');
+    addValid('{a.b,c_d,%41e}');
+    addValid('{var:9999}');
+    addValid('/café/{id}');
+    addValid('/%20/{x}');
+
+    addInvalid('/a/{b', 'Unterminated expression', 1, 4);
+    addInvalid('/a/{b/{c}', 'Unterminated expression', 1, 4);
+    addInvalid('{foo bar}', 'Unexpected U+0020 in expression', 1, 5);
+    addInvalid('{var:0}', 'Prefix length must be an integer from 1 to 9999', 1, 6);
+    addInvalid('{x:10000}', 'Prefix length must be an integer from 1 to 9999', 1, 4);
+    addInvalid('{x:}', 'Prefix length must be an integer from 1 to 9999', 1, 4);
+    addInvalid('{}', 'Expected a variable name', 1, 2);
+    addInvalid('{a,}', 'Expected a variable name', 1, 4);
+    addInvalid('{a..b}', "Unexpected '.' in expression", 1, 3);
+    addInvalid('{a*:3}', "Unexpected ':' in expression", 1, 4);
+    addInvalid('{a%4}', 'Invalid percent-encoding', 1, 3);
+    addInvalid('{!a}', "Operator '!' is reserved for future extensions", 1, 2);
+    addInvalid('/a}', "Unexpected '}' outside of an expression", 1, 3);
+    addInvalid('/a b', 'Invalid literal character U+0020', 1, 3);
+    addInvalid('/a<b', "Invalid literal character '<'", 1, 3);
+    addInvalid('/50%', 'Invalid percent-encoding', 1, 4);
+
+    it('should report every error', function () {
+        var errors = UriTemplate.validate('{a b}/{c:0}/{d');
+        assert.deepEqual(errors.map(function (error) {
+            return error.column;
+        }), [3, 10, 13]);
+    });
+
+    it('should count lines and columns', function () {
+        var errors = UriTemplate.validate('/a\n/{b:0}');
+        assert.equal(errors[1].line, 2);
+        assert.equal(errors[1].column, 5);
+    });
+
+    it('should point a caret at the error', function () {
+        var error = UriTemplate.validate('/a/{b')[0];
+        assert.equal(error.message, 'Unterminated expression at line 1, column 4\n/a/{b\n   ^');
+    });
+
+    it('should stay lenient when not strict', function () {
+        var uriTemplate = new UriTemplate('/a/{b');
+        /* the malformed part is literal text, and "{" is pct-encoded like any literal character a URI does not allow */
+        assert.equal(uriTemplate.stringify({ b: 1 }), '/a/%7Bb');
+        assert.deepEqual(uriTemplate.parse('/a/{b'), {});
+    });
+
+});